@@ -0,0 +1,61 @@
+# category_model.py
+# 카테고리 분류 모델 로드 / 추론 (category_predict.py, category_worker.py 공용)
+import hashlib
+import os
+
+import torch
+from transformers import BertTokenizer, BertForSequenceClassification
+
+DEFAULT_MODEL_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), "diary_category_model")
+
+# 카테고리 매핑 (모델 출력 번호 → 프로젝트 라벨)
+ID2LABEL = {
+    0: "family",
+    1: "couple",
+    2: "friend",
+    3: "food",
+    4: "group"
+}
+
+
+def model_version(model_path):
+    # 폴더 이름 + 설정 내용 / 가중치 파일 크기 해시 (같은 폴더에 다른 모델을 덮어써도 구분되도록)
+    digest = hashlib.sha256()
+    with open(os.path.join(model_path, "config.json"), "rb") as f:
+        digest.update(f.read())
+    weights = os.path.join(model_path, "model.safetensors")
+    if os.path.exists(weights):
+        digest.update(str(os.path.getsize(weights)).encode())
+    return f"{os.path.basename(os.path.normpath(model_path))}@{digest.hexdigest()[:12]}"
+
+
+class CategoryModel:
+    def __init__(self, model_path=DEFAULT_MODEL_PATH):
+        self.model_path = model_path
+        self.version = model_version(model_path)
+        self.tokenizer = BertTokenizer.from_pretrained(model_path)
+        self.model = BertForSequenceClassification.from_pretrained(model_path)
+        self.model.eval()
+        # 여러 라벨을 독립적으로 학습한 모델이면 라벨별 sigmoid, 아니면 softmax (합이 1)
+        self.multi_label = self.model.config.problem_type == "multi_label_classification"
+
+    def predict(self, text, top_k=3):
+        """
+        반환: {"label": 가장 높은 라벨, "probabilities": {라벨: 확률}, "top": [{"label", "probability"}] (상위 top_k개), "multiLabel": bool}
+        """
+        inputs = self.tokenizer(text, return_tensors="pt", truncation=True, padding=True, max_length=512)
+        with torch.no_grad():
+            outputs = self.model(**inputs)
+            if self.multi_label:
+                probs = torch.sigmoid(outputs.logits)[0].tolist()
+            else:
+                probs = torch.softmax(outputs.logits, dim=1)[0].tolist()
+
+        probabilities = {ID2LABEL[i]: round(p, 6) for i, p in enumerate(probs)}
+        ranked = sorted(probabilities.items(), key=lambda item: item[1], reverse=True)
+        return {
+            "label": ranked[0][0],
+            "probabilities": probabilities,
+            "top": [{"label": label, "probability": p} for label, p in ranked[:max(1, top_k)]],
+            "multiLabel": self.multi_label,
+        }
@@ -1,32 +1,14 @@
 # category_predict.py
+# 한 번만 분류할 때 쓰는 명령줄 도구 (서버는 category_worker.py를 상주시켜 사용)
+# 사용법: python category_predict.py "일기 내용"   또는   echo "일기 내용" | python category_predict.py
+# 출력: {"label": ..., "probabilities": {...}, "top": [...], "modelVersion": ...}
+import json
 import sys
-import torch
-from transformers import BertTokenizer, BertForSequenceClassification
 
-# 입력 텍스트 받기
-text = sys.argv[1]
+from category_model import CategoryModel
 
-# 모델 및 토크나이저 로드
-model_path = "./diary_category_model"  # 네가 올린 폴더 경로 (config.json, model.safetensors 등 포함)
-tokenizer = BertTokenizer.from_pretrained(model_path)
-model = BertForSequenceClassification.from_pretrained(model_path)
-model.eval()
+# 입력 텍스트 받기 (인자가 없으면 표준 입력에서 읽음 → 긴 글도 명령줄 길이 제한 없이 전달)
+text = sys.argv[1] if len(sys.argv) > 1 else sys.stdin.read()
 
-# 입력 변환
-inputs = tokenizer(text, return_tensors="pt", truncation=True, padding=True, max_length=512)
-
-# 추론
-with torch.no_grad():
-    outputs = model(**inputs)
-    pred_label = torch.argmax(outputs.logits, dim=1).item()
-
-# 카테고리 매핑 (너의 프로젝트용)
-id2label = {
-    0: "family",
-    1: "couple",
-    2: "friend",
-    3: "food",
-    4: "group"
-}
-
-print(id2label[pred_label])
+model = CategoryModel()
+print(json.dumps({**model.predict(text), "modelVersion": model.version}, ensure_ascii=False))
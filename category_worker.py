@@ -0,0 +1,60 @@
+# category_worker.py
+# 서버와 함께 상주하는 분류 워커 (모델은 시작할 때 한 번만 로드)
+# 표준 입력/출력으로 한 줄에 JSON 하나씩 주고받음
+#   시작: {"type": "ready", "modelLoaded": true, "modelVersion": "...", "labels": [...], "error": null}
+#   요청: {"id": 1, "type": "classify", "text": "...", "topK": 3}
+#       → {"id": 1, "label": "friend", "probabilities": {...}, "top": [{"label", "probability"}], "multiLabel": false, "modelVersion": "..."}
+#   요청: {"id": 2, "type": "ping"}                     → {"id": 2, "pong": true, "modelLoaded": true}
+#   실패: {"id": 1, "error": "..."}
+import json
+import os
+import sys
+
+# 응답 전용 출력 (라이브러리가 print 하는 내용이 응답에 섞이지 않도록 나머지 출력은 stderr로 보냄)
+protocol_out = os.fdopen(os.dup(sys.stdout.fileno()), "w", encoding="utf-8", buffering=1)
+sys.stdout = sys.stderr
+sys.stdin.reconfigure(encoding="utf-8")
+
+
+def send(message):
+    protocol_out.write(json.dumps(message, ensure_ascii=False) + "\n")
+    protocol_out.flush()
+
+
+model = None
+load_error = None
+try:
+    from category_model import CategoryModel, DEFAULT_MODEL_PATH, ID2LABEL
+    model = CategoryModel(os.environ.get("CLASSIFIER_MODEL_PATH") or DEFAULT_MODEL_PATH)
+    labels = list(ID2LABEL.values())
+except Exception as err:  # 모델이 없어도 워커는 살아서 상태 확인(ping)에 응답
+    load_error = f"{type(err).__name__}: {err}"
+    labels = []
+
+send({
+    "type": "ready",
+    "modelLoaded": model is not None,
+    "modelVersion": model.version if model else None,
+    "labels": labels,
+    "error": load_error,
+})
+
+for line in sys.stdin:
+    line = line.strip()
+    if not line:
+        continue
+
+    request_id = None
+    try:
+        request = json.loads(line)
+        request_id = request.get("id")
+
+        if request.get("type") == "ping":
+            send({"id": request_id, "pong": True, "modelLoaded": model is not None})
+        elif model is None:
+            send({"id": request_id, "error": f"모델이 로드되지 않았습니다: {load_error}"})
+        else:
+            result = model.predict(str(request.get("text") or ""), int(request.get("topK") or 3))
+            send({"id": request_id, **result, "modelVersion": model.version})
+    except Exception as err:
+        send({"id": request_id, "error": f"{type(err).__name__}: {err}"})
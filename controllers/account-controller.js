@@ -0,0 +1,314 @@
+const { ObjectId } = require('mongodb');
+const archiver = require('archiver');
+const bcrypt = require('bcrypt');
+const { getBlobStore } = require('../utils/blob-store');
+const { storedBlobIds } = require('../utils/image-variants');
+const { deleteUserComments } = require('./comment-controller');
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let collections = {};
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// { login, images, diaries, aiResults, printable, test, refreshTokens, accountTokens, revisions, shares, invitations, comments, reactions, corrections }
+function initializeCollections(refs) {
+  collections = refs;
+}
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+};
+
+function extensionFor(mimeType) {
+  return MIME_EXTENSIONS[mimeType] || 'bin';
+}
+
+// 다이어리 id는 ObjectId/문자열 두 형태로 저장된 문서가 섞여 있으므로 둘 다 조회
+function diaryIdVariants(diaries) {
+  return diaries.flatMap(diary => [diary._id, diary._id.toString()]);
+}
+
+// 항목 하나가 ZIP에 기록될 때까지 기다림 (큰 사진을 한꺼번에 메모리에 쌓지 않기 위함)
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    archive.once('error', onError);
+    archive.once('entry', () => {
+      archive.off('error', onError);
+      resolve();
+    });
+    archive.append(source, { name });
+  });
+}
+
+// 파일 저장소에 있으면 스트림, 예전 방식(base64 필드)이면 Buffer
+function storedContent({ blobId, imageData }) {
+  if (blobId) return getBlobStore().createReadStream(blobId);
+  if (imageData) return Buffer.from(imageData, 'base64');
+  return null;
+}
+
+async function findUserDiaries(userId) {
+  return collections.diaries.find({ userId }).toArray();
+}
+
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+async function findDiaryOwner(diaryId) {
+  const diary = await collections.diaries.findOne(
+    { _id: { $in: [diaryId, toObjectId(diaryId)].filter(Boolean) } },
+    { projection: { userId: 1 } }
+  );
+  return diary ? diary.userId : null;
+}
+
+/**
+ * 다른 사람 다이어리에 남긴 기여(사진, 인쇄본, AI 결과)는 지우지 않고 그 다이어리 소유자에게 넘김
+ * 사진 칸의 올린 사람 표시와 본문 revision의 작성자 정보는 익명으로 바꿈
+ */
+async function handOverContributions(userId, ownDiaryIds) {
+  const handedOver = { images: 0, printableDiaries: 0, aiDiaryResults: 0, diaryRevisions: 0 };
+
+  const imageIds = (await collections.images.find({ userId }, { projection: { _id: 1 } }).toArray())
+    .map(image => image._id.toString());
+  const usingDiaries = imageIds.length === 0 ? [] : await collections.diaries
+    .find({ userId: { $ne: userId }, 'photoSlots.id': { $in: imageIds } }, { projection: { userId: 1, 'photoSlots.id': 1 } })
+    .toArray();
+  const newOwners = new Map();
+  for (const diary of usingDiaries) {
+    for (const slot of diary.photoSlots || []) {
+      const id = String(slot.id);
+      if (imageIds.includes(id) && !newOwners.has(id)) newOwners.set(id, diary.userId);
+    }
+  }
+  for (const [imageId, owner] of newOwners) {
+    const result = await collections.images.updateOne(
+      { _id: new ObjectId(imageId), userId },
+      { $set: { userId: owner }, $unset: { deletedAt: '', trashedWithDiary: '' } }
+    );
+    handedOver.images += result.modifiedCount;
+  }
+  await collections.diaries.updateMany(
+    { userId: { $ne: userId }, 'photoSlots.uploadedBy': userId },
+    { $unset: { 'photoSlots.$[slot].uploadedBy': '' } },
+    { arrayFilters: [{ 'slot.uploadedBy': userId }] }
+  );
+
+  for (const [key, collection] of [['printableDiaries', collections.printable], ['aiDiaryResults', collections.aiResults]]) {
+    const diaryIds = await collection.distinct('diaryId', { userId, diaryId: { $nin: ownDiaryIds } });
+    for (const diaryId of diaryIds) {
+      const owner = await findDiaryOwner(diaryId);
+      if (!owner) continue;
+      const result = await collection.updateMany({ userId, diaryId }, { $set: { userId: owner } });
+      handedOver[key] += result.modifiedCount;
+    }
+  }
+
+  handedOver.diaryRevisions = (await collections.revisions.updateMany(
+    { diaryId: { $nin: ownDiaryIds }, 'author.userId': userId },
+    { $set: { author: { deletedAccount: true } } }
+  )).modifiedCount;
+
+  return handedOver;
+}
+
+/**
+ * 내 데이터 내보내기 (ZIP 스트리밍)
+ * - account.json : 계정 정보
+ * - diaries/<id>/diary.json : 다이어리 + AI 결과 + 본문 변경 이력 + 공유 링크 + 카테고리/레이아웃 이력
+ * - diaries/<id>/printable/page-N.png : 인쇄용 페이지
+ * - photos/<imageId>.<ext> : 업로드한 원본 사진
+ */
+async function exportMyData(req, res) {
+  const { userId } = req.user;
+
+  try {
+    console.log(`📦 데이터 내보내기 요청: ${userId}`);
+
+    const user = await collections.login.findOne(
+      { _id: new ObjectId(req.user.id) },
+      { projection: { password: 0 } }
+    );
+    const diaries = await findUserDiaries(userId);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (err) => console.warn('⚠️ ZIP 경고:', err));
+    archive.on('error', (err) => {
+      console.error('❌ ZIP 생성 오류:', err);
+      res.destroy(err);
+    });
+
+    const fileName = `travely-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    archive.pipe(res);
+
+    await appendEntry(archive, JSON.stringify(user, null, 2), 'account.json');
+
+    for (const diary of diaries) {
+      const ids = [diary._id, diary._id.toString()];
+      const aiResults = await collections.aiResults.find({ diaryId: { $in: ids } }).toArray();
+      const categoryHistory = await collections.test.find({ diaryId: { $in: ids } }).toArray();
+      const revisions = await collections.revisions.find({ diaryId: diary._id }).sort({ revisionNumber: 1 }).toArray();
+      const shares = await collections.shares
+        .find({ diaryId: diary._id }, { projection: { tokenHash: 0, passwordHash: 0 } })
+        .toArray();
+
+      const folder = `diaries/${diary._id.toString()}`;
+      await appendEntry(
+        archive,
+        JSON.stringify({ diary, aiResults, revisions, shares, categoryHistory }, null, 2),
+        `${folder}/diary.json`
+      );
+
+      const printables = collections.printable.find({ diaryId: { $in: ids } });
+      for await (const printable of printables) {
+        for (const page of printable.pages || []) {
+          const content = storedContent(page);
+          if (!content) continue;
+          await appendEntry(
+            archive,
+            content,
+            `${folder}/printable/${printable._id.toString()}-page-${page.pageNumber}.png`
+          );
+        }
+      }
+    }
+
+    // 사진은 하나씩 읽어서 바로 ZIP에 넣음 (전체를 메모리에 올리지 않음)
+    const imageMeta = [];
+    const images = collections.images.find({ userId });
+    for await (const image of images) {
+      const { imageData, ...meta } = image;
+      const name = `photos/${image._id.toString()}.${extensionFor(image.mimeType)}`;
+      const content = storedContent(image);
+      if (content) {
+        await appendEntry(archive, content, name);
+      }
+      imageMeta.push({ ...meta, file: content ? name : null });
+    }
+    await appendEntry(archive, JSON.stringify(imageMeta, null, 2), 'photos/photos.json');
+
+    await archive.finalize();
+    console.log(`✅ 데이터 내보내기 완료: ${userId} (다이어리 ${diaries.length}개, 사진 ${imageMeta.length}장)`);
+
+  } catch (error) {
+    console.error('❌ 데이터 내보내기 오류:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: '데이터 내보내기 중 오류가 발생했습니다.'
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+}
+
+/**
+ * 회원 탈퇴 (모든 컬렉션에서 관련 문서 삭제 후 삭제 건수 보고)
+ * 내 다이어리에 딸린 문서만 지우고, 다른 사람 다이어리에 남긴 기여는 그 소유자에게 넘김
+ * 이메일 가입 계정은 비밀번호 재확인 필요
+ */
+async function deleteMyAccount(req, res) {
+  const { userId } = req.user;
+  const { password } = req.body || {};
+
+  try {
+    const userObjectId = new ObjectId(req.user.id);
+    const user = await collections.login.findOne({ _id: userObjectId });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    if (user.password) {
+      const isMatch = password ? await bcrypt.compare(password, user.password) : false;
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: '비밀번호가 올바르지 않습니다.'
+        });
+      }
+    }
+
+    console.log(`🗑️ 회원 탈퇴 요청: ${userId}`);
+
+    const diaries = await findUserDiaries(userId);
+    const diaryIds = diaryIdVariants(diaries);
+
+    const byDiaryOrUser = { $or: [{ diaryId: { $in: diaryIds } }, { userId }] };
+
+    // 넘긴 문서는 userId가 바뀌므로 아래 삭제 대상에서 빠짐
+    const handedOver = await handOverContributions(userId, diaryIds);
+
+    // 문서를 지우기 전에 파일 저장소의 사진/인쇄 페이지부터 삭제
+    const images = await collections.images
+      .find({ userId }, { projection: { blobId: 1, variants: 1 } })
+      .toArray();
+    const printables = await collections.printable
+      .find(byDiaryOrUser, { projection: { 'pages.blobId': 1, 'pages.variants': 1 } })
+      .toArray();
+    const blobIds = [
+      ...images.flatMap(storedBlobIds),
+      ...printables.flatMap(printable => (printable.pages || []).flatMap(storedBlobIds)),
+    ];
+    for (const blobId of blobIds) {
+      await getBlobStore().delete(blobId);
+    }
+
+    const removed = {
+      storedFiles: blobIds.length,
+      diaries: (await collections.diaries.deleteMany({ userId })).deletedCount,
+      images: (await collections.images.deleteMany({ userId })).deletedCount,
+      aiDiaryResults: (await collections.aiResults.deleteMany(byDiaryOrUser)).deletedCount,
+      printableDiaries: (await collections.printable.deleteMany(byDiaryOrUser)).deletedCount,
+      categoryRecords: (await collections.test.deleteMany({ diaryId: { $in: diaryIds } })).deletedCount,
+      diaryRevisions: (await collections.revisions.deleteMany({ diaryId: { $in: diaryIds } })).deletedCount,
+      diaryShares: (await collections.shares.deleteMany({ $or: [{ diaryId: { $in: diaryIds } }, { userId }] })).deletedCount,
+      // 다른 사람 다이어리의 멤버 자격과 주고받은 초대
+      diaryMemberships: (await collections.diaries.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } })).modifiedCount,
+      diaryComments: (await collections.comments.deleteMany({ diaryId: { $in: diaryIds } })).deletedCount
+        + await deleteUserComments(userId, diaryIds),
+      diaryReactions: (await collections.reactions.deleteMany({ $or: [{ diaryId: { $in: diaryIds } }, { userId }] })).deletedCount,
+      categoryCorrections: (await collections.corrections.deleteMany({ $or: [{ diaryId: { $in: diaryIds } }, { userId }] })).deletedCount,
+      diaryInvitations: (await collections.invitations.deleteMany({
+        $or: [{ diaryId: { $in: diaryIds } }, { invitedBy: userId }, { email: userId.trim().toLowerCase() }],
+      })).deletedCount,
+      refreshTokens: (await collections.refreshTokens.deleteMany({ userObjectId })).deletedCount,
+      accountTokens: (await collections.accountTokens.deleteMany({ userObjectId })).deletedCount,
+      account: (await collections.login.deleteOne({ _id: userObjectId })).deletedCount,
+    };
+
+    console.log(`✅ 회원 탈퇴 완료: ${userId}`, removed, handedOver);
+
+    res.json({
+      success: true,
+      message: '계정과 모든 데이터가 삭제되었습니다.',
+      removed,
+      handedOver
+    });
+
+  } catch (error) {
+    console.error('❌ 회원 탈퇴 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '회원 탈퇴 처리 중 오류가 발생했습니다.'
+    });
+  }
+}
+
+module.exports = {
+  initializeCollections,
+  exportMyData,
+  deleteMyAccount
+};
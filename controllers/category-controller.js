@@ -0,0 +1,245 @@
+const { findAccessibleDiary } = require('../utils/diary-access');
+const { CATEGORY_LABELS, toLabel } = require('../utils/category-prediction');
+const { classificationReport } = require('../utils/classification-metrics');
+
+// 카테고리 직접 지정 / 수정 + 수정 기록을 학습 데이터로 모으기
+// 수정할 때마다 { 글, 모델이 예측한 카테고리와 점수, 사용자가 고른 카테고리 } 를 category_corrections에 남김
+// 관리자는 이 기록을 diary_category_model 학습용 JSONL로 내려받거나 예측 / 수정 혼동 행렬로 확인
+
+// 학습 데이터 라벨 번호 (diary_category_model 출력 순서와 같음: 0 family ... 4 group)
+const TRAINING_LABELS = Object.keys(CATEGORY_LABELS);
+const CATEGORY_NAMES = Object.values(CATEGORY_LABELS);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let collections = {};
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// { diaries, corrections }
+function initializeCollections(refs) {
+  collections = refs;
+}
+
+// 저장해 둔 분류 결과 중 학습 기록에 남길 부분
+function predictedSnapshot(prediction) {
+  if (!prediction || prediction.status === 'failed') return null;
+  return {
+    category: prediction.category,
+    categories: prediction.categories || [],
+    probabilities: prediction.probabilities || {},
+    status: prediction.status,
+    modelVersion: prediction.modelVersion || null,
+    classifiedAt: prediction.classifiedAt || null,
+  };
+}
+
+// ?since=YYYY-MM-DD&until=YYYY-MM-DD&modelVersion= → 수정 기록 조회 조건 (또는 { error })
+function correctionFilter(query) {
+  const { since, until, modelVersion } = query;
+  if ((since && !DATE_PATTERN.test(since)) || (until && !DATE_PATTERN.test(until))) {
+    return { error: 'since, until은 YYYY-MM-DD 형식이어야 합니다.' };
+  }
+
+  const filter = {};
+  if (since || until) {
+    filter.createdAt = {
+      ...(since && { $gte: new Date(`${since}T00:00:00Z`) }),
+      ...(until && { $lt: new Date(new Date(`${until}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) }),
+    };
+  }
+  if (modelVersion) {
+    filter['predicted.modelVersion'] = String(modelVersion);
+  }
+  return { filter };
+}
+
+// 다이어리마다 가장 최근 수정 기록만 (같은 글을 여러 번 고친 경우 마지막 선택이 정답)
+function latestCorrections(filter) {
+  return collections.corrections.aggregate([
+    { $match: filter },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: '$diaryId', correction: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$correction' } },
+    { $sort: { createdAt: 1, _id: 1 } },
+  ], { allowDiskUse: true });
+}
+
+// ============================================
+// 카테고리 직접 지정
+// ============================================
+
+/**
+ * 카테고리 직접 지정 / 수정 (편집자 이상, body: { categories: ["커플여행", "맛집탐방여행"] })
+ * 여행 카테고리만 바꾸고 다른 값은 그대로 두며, 직접 고른 카테고리는 점수 없이 저장
+ */
+async function correctCategory(req, res) {
+  const { categories } = req.body || {};
+  const chosen = Array.isArray(categories) ? [...new Set(categories.map(String))] : [];
+  if (chosen.length === 0 || chosen.some(category => !CATEGORY_NAMES.includes(category))) {
+    return res.status(400).json({
+      success: false,
+      error: `categories는 ${CATEGORY_NAMES.join(', ')} 중 하나 이상이어야 합니다.`,
+    });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'editor');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const previous = Array.isArray(diary.category) ? diary.category : [];
+    const others = previous.filter(category => !CATEGORY_NAMES.includes(category));
+    const now = new Date();
+
+    await collections.diaries.updateOne(
+      { _id: diary._id },
+      {
+        $set: {
+          category: [...chosen, ...others],
+          categorySource: 'manual',
+          categoryCorrectedAt: now,
+          categoryCorrectedBy: req.user.userId,
+        },
+        $unset: { categoryScores: '' },
+      }
+    );
+
+    const correction = {
+      diaryId: diary._id,
+      userId: req.user.userId,
+      text: diary.content || '',
+      predicted: predictedSnapshot(diary.categoryPrediction),
+      previousCategories: previous.filter(category => CATEGORY_NAMES.includes(category)),
+      corrected: chosen,
+      createdAt: now,
+    };
+    await collections.corrections.insertOne(correction);
+
+    console.log(`✅ 카테고리 수정: ${diary._id} ${correction.previousCategories.join(', ') || '(없음)'} → ${chosen.join(', ')}`);
+
+    res.json({
+      success: true,
+      category: [...chosen, ...others],
+      predicted: correction.predicted ? correction.predicted.categories.map(item => item.category) : null,
+      message: `카테고리가 "${chosen.join(', ')}"로 변경되었습니다.`,
+    });
+  } catch (error) {
+    console.error('❌ 카테고리 수정 오류:', error);
+    res.status(500).json({ success: false, error: '카테고리를 수정하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// ============================================
+// 관리자: 학습 데이터 / 혼동 행렬
+// ============================================
+
+/**
+ * 학습 데이터 JSONL 다운로드 (?format=single|multi&since&until&modelVersion)
+ * single: {"text": ..., "label": 0~4} (사용자가 처음 고른 카테고리, 지금 모델과 같은 단일 라벨 학습)
+ * multi:  {"text": ..., "labels": [0, 1, 0, 1, 0]} (라벨 순서대로 0/1, 여러 카테고리 학습)
+ */
+async function exportTrainingData(req, res) {
+  const format = req.query.format || 'single';
+  if (!['single', 'multi'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format은 single, multi 중 하나여야 합니다.' });
+  }
+  const { filter, error } = correctionFilter(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const cursor = latestCorrections({ ...filter, text: { $nin: ['', null] } });
+    const fileName = `category-training-${format}-${new Date().toISOString().slice(0, 10)}.jsonl`;
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    let count = 0;
+    for await (const correction of cursor) {
+      // 받는 쪽이 연결을 끊으면 더 읽지 않음 (for await를 빠져나가면 커서도 닫힘)
+      if (res.destroyed) break;
+      const labels = correction.corrected.map(toLabel).filter(Boolean);
+      if (labels.length === 0) continue;
+
+      const example = format === 'single'
+        ? { text: correction.text, label: TRAINING_LABELS.indexOf(labels[0]) }
+        : { text: correction.text, labels: TRAINING_LABELS.map(label => (labels.includes(label) ? 1 : 0)) };
+      if (!res.write(`${JSON.stringify(example)}\n`)) {
+        await new Promise((resolve) => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.once('drain', done);
+          res.once('close', done);
+        });
+      }
+      count += 1;
+    }
+    if (res.destroyed) {
+      console.warn(`⚠️ 학습 데이터 내보내기 중단 (${format}): 연결 끊김, ${count}개 전송`);
+      return;
+    }
+    res.end();
+
+    console.log(`✅ 학습 데이터 내보내기 (${format}): ${count}개`);
+  } catch (error) {
+    console.error('❌ 학습 데이터 내보내기 오류:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: '학습 데이터를 만드는 중 오류가 발생했습니다.' });
+    }
+    res.destroy(error);
+  }
+}
+
+/**
+ * 예측 vs 수정 혼동 행렬 (?since&until&modelVersion)
+ * 행 = 사용자가 고른 카테고리(첫 번째), 열 = 모델의 1등 카테고리 / 예측 없이 직접 고른 기록은 unpredicted로만 셈
+ */
+async function confusionReport(req, res) {
+  const { filter, error } = correctionFilter(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const corrections = await latestCorrections(filter).toArray();
+    const predicted = corrections.filter(correction => correction.predicted?.category);
+    const report = classificationReport(
+      predicted.map(correction => ({ actual: correction.corrected[0], predicted: correction.predicted.category })),
+      CATEGORY_NAMES
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        corrections: corrections.length,
+        unpredicted: corrections.length - predicted.length,
+        modelVersions: [...new Set(predicted.map(correction => correction.predicted.modelVersion).filter(Boolean))],
+      },
+    });
+  } catch (error) {
+    console.error('❌ 혼동 행렬 계산 오류:', error);
+    res.status(500).json({ success: false, error: '혼동 행렬을 계산하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 다이어리 삭제 시 수정 기록도 삭제 (삭제된 수 반환)
+ */
+async function deleteCorrections(diaryIds) {
+  const result = await collections.corrections.deleteMany({ diaryId: { $in: diaryIds } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  initializeCollections,
+  correctCategory,
+  exportTrainingData,
+  confusionReport,
+  deleteCorrections
+};
@@ -0,0 +1,507 @@
+const { ObjectId } = require('mongodb');
+const { findAccessibleDiary, diaryRole } = require('../utils/diary-access');
+const { parseLimit, decodeCursor, cursorFilter, buildPage } = require('../utils/pagination');
+
+// 댓글 / 반응 설정
+const MAX_COMMENT_LENGTH = 1000;
+// 목록에서 댓글마다 미리 보여줄 답글 수 (나머지는 답글 목록 API로)
+const REPLY_PREVIEW_COUNT = 3;
+// 이모지 하나 (피부색 / ZWJ 조합 / 국기 포함)
+const EMOJI_PATTERN = /^(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}\u{FE0F}?\p{Emoji_Modifier}?(?:\u{200D}\p{Extended_Pictographic}\u{FE0F}?\p{Emoji_Modifier}?)*)$/u;
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let collections = {};
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// { comments, reactions }
+function initializeCollections(refs) {
+  collections = refs;
+}
+
+function toObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch (e) {
+    return null;
+  }
+}
+
+// photoId가 있으면 그 사진의 댓글 / 반응, 없으면 다이어리 자체의 댓글 / 반응
+function targetFilter(diary, photoId) {
+  return { diaryId: diary._id, photoId: photoId || null };
+}
+
+function hasPhoto(diary, photoId) {
+  return (diary.photoSlots || []).some(slot => String(slot.id) === String(photoId));
+}
+
+// 응답용 댓글 (삭제된 댓글은 답글이 남아 있을 때만 내용 없이 자리만 표시)
+function publicComment(comment, req, diary) {
+  const mine = comment.userId === req.user.userId;
+  const deleted = Boolean(comment.deletedAt);
+  return {
+    _id: comment._id,
+    photoId: comment.photoId,
+    parentId: comment.parentId,
+    userId: deleted ? null : comment.userId,
+    username: deleted ? null : comment.username,
+    content: deleted ? null : comment.content,
+    deleted,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt || null,
+    canEdit: mine && !deleted,
+    canDelete: !deleted && (mine || diaryRole(diary, req.user.userId) === 'owner'),
+  };
+}
+
+function validateContent(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return '댓글 내용을 입력해주세요.';
+  }
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return `댓글은 ${MAX_COMMENT_LENGTH}자 이하여야 합니다.`;
+  }
+  return null;
+}
+
+async function findComment(diary, commentId) {
+  const commentObjectId = toObjectId(commentId);
+  if (!commentObjectId) return null;
+  return collections.comments.findOne({ _id: commentObjectId, diaryId: diary._id });
+}
+
+// ============================================
+// 댓글
+// ============================================
+
+/**
+ * 댓글 목록 (오래된 순, 커서 페이지네이션)
+ * ?photoId= 사진 댓글 / 없으면 다이어리 댓글, ?limit=20&cursor=...
+ * 댓글마다 답글 수(replyCount)와 처음 몇 개의 답글 포함
+ */
+async function listComments(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ success: false, error: 'cursor가 올바르지 않습니다.' });
+    }
+    const limit = parseLimit(req.query.limit);
+
+    const docs = await collections.comments
+      .find({ ...targetFilter(diary, req.query.photoId), parentId: null, ...cursorFilter(cursor, 'createdAt', 1) })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .toArray();
+    const { items, pageInfo } = buildPage(docs, limit, 'createdAt');
+
+    // 답글 수와 미리보기를 한 번의 집계로 조회
+    const replies = await collections.comments.aggregate([
+      { $match: { parentId: { $in: items.map(comment => comment._id) }, deletedAt: { $exists: false } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: '$parentId', count: { $sum: 1 }, preview: { $push: '$$ROOT' } } },
+      { $project: { count: 1, preview: { $slice: ['$preview', REPLY_PREVIEW_COUNT] } } },
+    ]).toArray();
+    const repliesByParent = new Map(replies.map(reply => [reply._id.toString(), reply]));
+
+    res.json({
+      success: true,
+      data: items.map((comment) => {
+        const thread = repliesByParent.get(comment._id.toString());
+        return {
+          ...publicComment(comment, req, diary),
+          replyCount: thread ? thread.count : 0,
+          replies: thread ? thread.preview.map(reply => publicComment(reply, req, diary)) : [],
+        };
+      }),
+      pageInfo,
+    });
+  } catch (error) {
+    console.error('❌ 댓글 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '댓글을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 답글 목록 (오래된 순, 커서 페이지네이션)
+ */
+async function listReplies(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    const parent = diary && await findComment(diary, req.params.commentId);
+    if (!parent || parent.parentId) {
+      return res.status(404).json({ success: false, error: '댓글을 찾을 수 없습니다.' });
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ success: false, error: 'cursor가 올바르지 않습니다.' });
+    }
+    const limit = parseLimit(req.query.limit);
+
+    const docs = await collections.comments
+      .find({ parentId: parent._id, deletedAt: { $exists: false }, ...cursorFilter(cursor, 'createdAt', 1) })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .toArray();
+    const { items, pageInfo } = buildPage(docs, limit, 'createdAt');
+
+    res.json({ success: true, data: items.map(reply => publicComment(reply, req, diary)), pageInfo });
+  } catch (error) {
+    console.error('❌ 답글 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '답글을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 댓글 / 답글 작성 (멤버 누구나)
+ * body: { content, photoId, parentId } — parentId가 있으면 그 댓글의 답글 (답글의 답글은 같은 댓글 아래에 달림)
+ */
+async function createComment(req, res) {
+  const { content, photoId, parentId } = req.body || {};
+  const invalid = validateContent(content);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(diary, parentId);
+      if (!parent || (parent.deletedAt && !parent.parentId)) {
+        return res.status(404).json({ success: false, error: '답글을 달 댓글을 찾을 수 없습니다.' });
+      }
+    }
+
+    // 답글은 부모 댓글과 같은 대상(다이어리 / 사진)에 속함
+    const target = parent ? parent.photoId : (photoId || null);
+    if (target && !hasPhoto(diary, target)) {
+      return res.status(404).json({ success: false, error: '다이어리에 없는 사진입니다.' });
+    }
+
+    const comment = {
+      diaryId: diary._id,
+      photoId: target ? String(target) : null,
+      parentId: parent ? (parent.parentId || parent._id) : null,
+      userId: req.user.userId,
+      username: req.user.username,
+      content: content.trim(),
+      createdAt: new Date(),
+    };
+    const result = await collections.comments.insertOne(comment);
+
+    console.log(`💬 댓글 작성: diary=${diary._id}${comment.photoId ? `, photo=${comment.photoId}` : ''}`);
+    res.json({
+      success: true,
+      message: '✅ 댓글이 등록되었습니다.',
+      comment: publicComment({ ...comment, _id: result.insertedId }, req, diary),
+    });
+  } catch (error) {
+    console.error('❌ 댓글 작성 오류:', error);
+    res.status(500).json({ success: false, error: '댓글을 등록하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 내 댓글 수정
+ */
+async function updateComment(req, res) {
+  const { content } = req.body || {};
+  const invalid = validateContent(content);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    const comment = diary && await findComment(diary, req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, error: '댓글을 찾을 수 없습니다.' });
+    }
+    if (comment.userId !== req.user.userId) {
+      return res.status(403).json({ success: false, error: '본인이 쓴 댓글만 수정할 수 있습니다.' });
+    }
+
+    const editedAt = new Date();
+    await collections.comments.updateOne(
+      { _id: comment._id },
+      { $set: { content: content.trim(), editedAt } }
+    );
+
+    res.json({
+      success: true,
+      message: '✅ 댓글이 수정되었습니다.',
+      comment: publicComment({ ...comment, content: content.trim(), editedAt }, req, diary),
+    });
+  } catch (error) {
+    console.error('❌ 댓글 수정 오류:', error);
+    res.status(500).json({ success: false, error: '댓글을 수정하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 댓글 하나 지우기 (deletedBy: author | owner | account)
+ * 답글이 달린 댓글은 내용만 지우고 자리를 남겨서 답글이 그대로 보이게 함
+ * 탈퇴한 계정의 댓글이면 남기는 자리에서 작성자 정보도 지움
+ */
+async function removeComment(comment, deletedBy) {
+  const hasReplies = !comment.parentId && await collections.comments.findOne(
+    { parentId: comment._id, deletedAt: { $exists: false } },
+    { projection: { _id: 1 } }
+  );
+
+  if (hasReplies) {
+    await collections.comments.updateOne(
+      { _id: comment._id },
+      {
+        $set: { deletedAt: new Date(), deletedBy, ...(deletedBy === 'account' && { userId: null }) },
+        $unset: { content: '', ...(deletedBy === 'account' && { username: '' }) },
+      }
+    );
+  } else {
+    await collections.comments.deleteOne({ _id: comment._id });
+  }
+
+  // 마지막 답글이 지워지면 자리만 남아 있던 부모 댓글도 정리
+  if (comment.parentId) {
+    const remaining = await collections.comments.findOne(
+      { parentId: comment.parentId, deletedAt: { $exists: false } },
+      { projection: { _id: 1 } }
+    );
+    if (!remaining) {
+      await collections.comments.deleteOne({ _id: comment.parentId, deletedAt: { $exists: true } });
+    }
+  }
+}
+
+/**
+ * 댓글 삭제 (작성자 본인 또는 다이어리 소유자)
+ * 답글이 달린 댓글은 내용만 지우고 자리를 남겨서 답글이 그대로 보이게 함
+ */
+async function deleteComment(req, res) {
+  try {
+    const { userId } = req.user;
+    const diary = await findAccessibleDiary(req.params.diaryId, userId, 'viewer');
+    const comment = diary && await findComment(diary, req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, error: '댓글을 찾을 수 없습니다.' });
+    }
+
+    const moderated = comment.userId !== userId;
+    if (moderated && diaryRole(diary, userId) !== 'owner') {
+      return res.status(403).json({ success: false, error: '본인이 쓴 댓글만 삭제할 수 있습니다.' });
+    }
+
+    await removeComment(comment, moderated ? 'owner' : 'author');
+
+    console.log(`💬 댓글 삭제${moderated ? ' (소유자)' : ''}: diary=${diary._id}, comment=${comment._id}`);
+    res.json({ success: true, message: '✅ 댓글이 삭제되었습니다.' });
+  } catch (error) {
+    console.error('❌ 댓글 삭제 오류:', error);
+    res.status(500).json({ success: false, error: '댓글을 삭제하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// ============================================
+// 반응 (이모지)
+// ============================================
+
+// [{ emoji, count, reactedByMe }] (많은 순)
+function summarizeReactions(reactions, userId) {
+  const byEmoji = new Map();
+  for (const reaction of reactions) {
+    const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reactedByMe: false };
+    entry.count += 1;
+    entry.reactedByMe = entry.reactedByMe || reaction.userId === userId;
+    byEmoji.set(reaction.emoji, entry);
+  }
+  return [...byEmoji.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 반응 요약 (다이어리 + 사진별)
+ * 반환: { diary: [{ emoji, count, reactedByMe }], photos: { photoId: [...] } }
+ */
+async function listReactions(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const reactions = await collections.reactions
+      .find({ diaryId: diary._id }, { projection: { photoId: 1, emoji: 1, userId: 1 } })
+      .toArray();
+
+    const byPhoto = new Map();
+    for (const reaction of reactions) {
+      const key = reaction.photoId || '';
+      if (!byPhoto.has(key)) byPhoto.set(key, []);
+      byPhoto.get(key).push(reaction);
+    }
+
+    const photos = {};
+    for (const [photoId, photoReactions] of byPhoto) {
+      if (photoId) photos[photoId] = summarizeReactions(photoReactions, req.user.userId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        diary: summarizeReactions(byPhoto.get('') || [], req.user.userId),
+        photos,
+      },
+    });
+  } catch (error) {
+    console.error('❌ 반응 조회 오류:', error);
+    res.status(500).json({ success: false, error: '반응을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+async function reactionTarget(req, res, { emoji, photoId }) {
+  if (typeof emoji !== 'string' || !EMOJI_PATTERN.test(emoji)) {
+    res.status(400).json({ success: false, error: 'emoji는 이모지 한 개여야 합니다.' });
+    return null;
+  }
+
+  const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+  if (!diary) {
+    res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    return null;
+  }
+  if (photoId && !hasPhoto(diary, photoId)) {
+    res.status(404).json({ success: false, error: '다이어리에 없는 사진입니다.' });
+    return null;
+  }
+
+  return { ...targetFilter(diary, photoId ? String(photoId) : null), userId: req.user.userId, emoji };
+}
+
+async function reactionSummary(target, userId) {
+  const reactions = await collections.reactions
+    .find({ diaryId: target.diaryId, photoId: target.photoId }, { projection: { emoji: 1, userId: 1 } })
+    .toArray();
+  return summarizeReactions(reactions, userId);
+}
+
+/**
+ * 반응 추가 (body: { emoji, photoId }) — 같은 이모지를 다시 보내도 한 번만 기록
+ */
+async function addReaction(req, res) {
+  try {
+    const target = await reactionTarget(req, res, req.body || {});
+    if (!target) return;
+
+    await collections.reactions.updateOne(
+      target,
+      { $setOnInsert: { ...target, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({ success: true, photoId: target.photoId, reactions: await reactionSummary(target, req.user.userId) });
+  } catch (error) {
+    console.error('❌ 반응 추가 오류:', error);
+    res.status(500).json({ success: false, error: '반응을 추가하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 내 반응 취소 (?emoji=&photoId=)
+ */
+async function removeReaction(req, res) {
+  try {
+    const target = await reactionTarget(req, res, req.query);
+    if (!target) return;
+
+    await collections.reactions.deleteOne(target);
+
+    res.json({ success: true, photoId: target.photoId, reactions: await reactionSummary(target, req.user.userId) });
+  } catch (error) {
+    console.error('❌ 반응 취소 오류:', error);
+    res.status(500).json({ success: false, error: '반응을 취소하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// ============================================
+// 다른 API에서 쓰는 함수
+// ============================================
+
+/**
+ * 다이어리별 댓글 수 (삭제된 댓글 제외) → { diaryId 문자열: 개수 }
+ */
+async function countComments(diaryIds) {
+  if (diaryIds.length === 0) return new Map();
+
+  const counts = await collections.comments.aggregate([
+    { $match: { diaryId: { $in: diaryIds }, deletedAt: { $exists: false } } },
+    { $group: { _id: '$diaryId', count: { $sum: 1 } } },
+  ]).toArray();
+
+  return new Map(counts.map(count => [count._id.toString(), count.count]));
+}
+
+/**
+ * 한 다이어리의 사진별 댓글 수 → { photoId: 개수 } (다이어리 자체 댓글은 키 '')
+ */
+async function countCommentsByPhoto(diaryId) {
+  const counts = await collections.comments.aggregate([
+    { $match: { diaryId, deletedAt: { $exists: false } } },
+    { $group: { _id: '$photoId', count: { $sum: 1 } } },
+  ]).toArray();
+
+  return new Map(counts.map(count => [count._id || '', count.count]));
+}
+
+/**
+ * 다이어리를 완전히 지울 때 댓글 / 반응도 삭제
+ */
+async function deleteDiaryDiscussion(diaryIds) {
+  return {
+    comments: (await collections.comments.deleteMany({ diaryId: { $in: diaryIds } })).deletedCount,
+    reactions: (await collections.reactions.deleteMany({ diaryId: { $in: diaryIds } })).deletedCount,
+  };
+}
+
+/**
+ * 회원 탈퇴 시 다른 사람 다이어리에 남긴 댓글 삭제 (삭제된 수 반환)
+ * 다른 사람의 답글이 달린 댓글은 자리를 남겨서 답글이 사라지지 않게 함
+ */
+async function deleteUserComments(userId, ownDiaryIds) {
+  const comments = await collections.comments
+    .find({ userId, diaryId: { $nin: ownDiaryIds }, deletedAt: { $exists: false } })
+    .toArray();
+  for (const comment of comments) {
+    await removeComment(comment, 'account');
+  }
+  // 이미 지워서 자리만 남은 댓글의 작성자 정보도 지움
+  await collections.comments.updateMany(
+    { userId, diaryId: { $nin: ownDiaryIds }, deletedAt: { $exists: true } },
+    { $set: { userId: null }, $unset: { username: '' } }
+  );
+  return comments.length;
+}
+
+module.exports = {
+  initializeCollections,
+  listComments,
+  listReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  listReactions,
+  addReaction,
+  removeReaction,
+  countComments,
+  countCommentsByPhoto,
+  deleteDiaryDiscussion,
+  deleteUserComments
+};
@@ -0,0 +1,266 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const sharp = require('sharp');
+const { getBlobStore, sendBlob } = require('../utils/blob-store');
+const { signFileToken } = require('../middleware/auth');
+const { parseVariantName, tryGenerateVariants } = require('../utils/image-variants');
+const { accessibleDiaryFilter } = require('../utils/diary-access');
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let imagesCollection;
+let printableDiaryCollection;
+let diariesCollection;
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+function initializeCollections(images, printable, diaries) {
+  imagesCollection = images;
+  printableDiaryCollection = printable;
+  diariesCollection = diaries;
+}
+
+function toObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch (e) {
+    return null;
+  }
+}
+
+// 함께 쓰는 다이어리의 멤버면 다른 사람이 올린 사진 / 인쇄본도 볼 수 있음
+async function inAccessibleDiary(userId, condition) {
+  const diary = await diariesCollection.findOne(
+    { $and: [condition, accessibleDiaryFilter(userId), { deletedAt: { $exists: false } }] },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(diary);
+}
+
+async function canViewImage(image, userId) {
+  if (image.userId === userId) return true;
+  return inAccessibleDiary(userId, { 'photoSlots.id': image._id.toString() });
+}
+
+async function canViewPrintable(printable, userId) {
+  if (printable.userId === userId) return true;
+  const diaryObjectId = toObjectId(printable.diaryId);
+  return inAccessibleDiary(userId, { _id: { $in: [printable.diaryId, diaryObjectId].filter(Boolean) } });
+}
+
+// 프론트엔드가 다른 도메인이므로 절대 URL로 만들어서 내려줌
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function signedUrl(req, resourcePath, size) {
+  const token = signFileToken(req.user.userId, resourcePath);
+  const sizeQuery = size && size !== 'original' ? `&size=${size}` : '';
+  return `${publicBaseUrl(req)}${resourcePath}?token=${encodeURIComponent(token)}${sizeQuery}`;
+}
+
+/**
+ * 사진 다운로드 URL (서명 토큰 포함, <img src>에 바로 사용 가능)
+ * size: thumbnail | medium | original
+ */
+function imageUrl(req, imageId, size) {
+  return signedUrl(req, `/api/images/${imageId.toString()}/content`, size);
+}
+
+/**
+ * 인쇄 페이지 다운로드 URL
+ */
+function printablePageUrl(req, printableId, pageNumber, size) {
+  return signedUrl(req, `/api/printables/${printableId.toString()}/pages/${pageNumber}/content`, size);
+}
+
+// 같은 문서에 대해 리사이즈 버전을 동시에 두 번 만들지 않도록 진행 중인 작업 공유
+const pendingVariants = new Map();
+
+/**
+ * 요청한 크기의 파일 정보 반환
+ * 리사이즈 버전이 없는 예전 문서는 이 시점에 만들어서 저장 (실패하면 원본 사용)
+ */
+async function resolveVariant(doc, size, key, saveVariants) {
+  if (size === 'original') return doc;
+  if (doc.variants && doc.variants[size]) return doc.variants[size];
+  if (doc.variantsFailedAt || (!doc.blobId && !doc.imageData)) return doc;
+
+  if (!pendingVariants.has(key)) {
+    pendingVariants.set(key, (async () => {
+      const variants = await tryGenerateVariants(doc, { userId: doc.userId, backfill: true });
+      await saveVariants(variants);
+      return variants;
+    })().finally(() => pendingVariants.delete(key)));
+  }
+
+  const variants = await pendingVariants.get(key);
+  return (variants && variants[size]) || doc;
+}
+
+// 저장소에 있는 파일이면 스트리밍, 예전 방식(base64 필드)이면 디코딩해서 전송
+async function sendStoredContent(req, res, { blobId, imageData, mimeType }) {
+  if (blobId) {
+    const store = getBlobStore();
+    const file = await store.stat(blobId);
+    if (!file) {
+      return res.status(404).json({ success: false, error: '파일을 찾을 수 없습니다.' });
+    }
+    return sendBlob(req, res, { ...file, contentType: file.contentType || mimeType },
+      (start, end) => store.createReadStream(blobId, { start, end }));
+  }
+
+  if (imageData) {
+    const buffer = Buffer.from(imageData, 'base64');
+    const etag = `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+    return sendBlob(req, res, { size: buffer.length, contentType: mimeType, etag },
+      (start, end) => Readable.from([buffer.subarray(start, end + 1)]));
+  }
+
+  return res.status(404).json({ success: false, error: '파일을 찾을 수 없습니다.' });
+}
+
+// EXIF를 지울 수 있는 형식 (sharp로 같은 형식으로 다시 저장)
+const REENCODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// 원본을 메타데이터(EXIF/GPS) 없이 다시 인코딩해서 전송
+// sharp는 withMetadata()를 쓰지 않으면 메타데이터를 버림, rotate()로 방향 정보는 픽셀에 반영
+function sendStrippedContent(res, { blobId, imageData, mimeType }) {
+  const stripper = sharp({ failOn: 'none' }).rotate();
+  const source = blobId ? getBlobStore().createReadStream(blobId) : Readable.from([Buffer.from(imageData, 'base64')]);
+
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Cache-Control', 'private, no-transform');
+  pipeline(source, stripper, res, (err) => {
+    if (err && !res.headersSent) {
+      res.status(500).json({ success: false, error: '사진을 불러오는 중 오류가 발생했습니다.' });
+    }
+  });
+}
+
+/**
+ * 사진 문서 전송 (요청한 크기, 없으면 만들어서)
+ * stripMetadata: 원본 요청이어도 EXIF/GPS를 지워서 전송 (리사이즈 버전은 원래 메타데이터가 없음)
+ * 다시 인코딩할 수 없는 형식(HEIC 등)은 원본 대신 중간 크기 버전을 전송
+ */
+async function sendImage(req, res, image, { size = parseVariantName(req.query.size), stripMetadata = false } = {}) {
+  const saveVariants = async (variants) => {
+    await imagesCollection.updateOne(
+      { _id: image._id },
+      { $set: variants ? { variants } : { variantsFailedAt: new Date() } }
+    );
+  };
+  const key = `image:${image._id.toString()}`;
+
+  if (stripMetadata && size === 'original' && image.mimeType !== 'image/gif') {
+    if (REENCODABLE_TYPES.includes(image.mimeType)) {
+      return sendStrippedContent(res, image);
+    }
+    const medium = await resolveVariant(image, 'medium', key, saveVariants);
+    if (medium === image) {
+      return res.status(415).json({ success: false, error: '이 형식의 사진은 공유 링크로 볼 수 없습니다.' });
+    }
+    return sendStoredContent(req, res, medium);
+  }
+
+  const target = await resolveVariant(image, size, key, saveVariants);
+  await sendStoredContent(req, res, { ...target, mimeType: target.mimeType || image.mimeType });
+}
+
+/**
+ * 인쇄 페이지 전송 (요청한 크기, 없으면 만들어서)
+ */
+async function sendPrintablePage(req, res, printable, page) {
+  const pageNumber = page.pageNumber;
+  const size = parseVariantName(req.query.size);
+  const saveVariants = async (variants) => {
+    await printableDiaryCollection.updateOne(
+      { _id: printable._id },
+      { $set: { [`pages.$[page].${variants ? 'variants' : 'variantsFailedAt'}`]: variants || new Date() } },
+      { arrayFilters: [{ 'page.pageNumber': pageNumber }] }
+    );
+  };
+
+  const target = await resolveVariant(
+    { ...page, userId: printable.userId },
+    size,
+    `printable:${printable._id.toString()}:${pageNumber}`,
+    saveVariants
+  );
+  await sendStoredContent(req, res, { ...target, mimeType: target.mimeType || page.mimeType || printable.mimeType });
+}
+
+/**
+ * 업로드한 사진 다운로드 (Range / ETag 지원)
+ */
+async function getImageContent(req, res) {
+  try {
+    const imageObjectId = toObjectId(req.params.imageId);
+    const image = imageObjectId && await imagesCollection.findOne({ _id: imageObjectId });
+
+    if (!image || !(await canViewImage(image, req.user.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: '사진을 찾을 수 없습니다.'
+      });
+    }
+
+    await sendImage(req, res, image);
+
+  } catch (error) {
+    console.error('❌ 사진 다운로드 오류:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: '사진을 불러오는 중 오류가 발생했습니다.'
+      });
+    }
+  }
+}
+
+/**
+ * 인쇄용 다이어리 페이지 다운로드 (Range / ETag 지원)
+ */
+async function getPrintablePageContent(req, res) {
+  try {
+    const printableObjectId = toObjectId(req.params.printableId);
+    const printable = printableObjectId && await printableDiaryCollection.findOne({ _id: printableObjectId });
+
+    if (!printable || !(await canViewPrintable(printable, req.user.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: '인쇄 다이어리를 찾을 수 없습니다.'
+      });
+    }
+
+    const pageNumber = Number(req.params.pageNumber);
+    const page = (printable.pages || []).find(p => p.pageNumber === pageNumber);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        error: '해당 페이지가 없습니다.'
+      });
+    }
+
+    await sendPrintablePage(req, res, printable, page);
+
+  } catch (error) {
+    console.error('❌ 인쇄 페이지 다운로드 오류:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: '페이지를 불러오는 중 오류가 발생했습니다.'
+      });
+    }
+  }
+}
+
+module.exports = {
+  initializeCollections,
+  publicBaseUrl,
+  imageUrl,
+  printablePageUrl,
+  sendImage,
+  sendPrintablePage,
+  getImageContent,
+  getPrintablePageContent
+};
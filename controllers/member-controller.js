@@ -0,0 +1,450 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const { sendMail } = require('../utils/mailer');
+const { MEMBER_ROLES, DIARY_HIDDEN_FIELDS, diaryRole, findAccessibleDiary } = require('../utils/diary-access');
+
+// 초대 설정
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+// 초대 코드 문자 (헷갈리는 0/O, 1/I/L 제외)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let collections = {};
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// { diaries, invitations, login }
+function initializeCollections(refs) {
+  collections = refs;
+}
+
+function toObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// 입력한 코드의 공백 / 하이픈 / 대소문자 차이는 무시
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+// 읽기 쉽게 4자리씩 끊어서 표시 (예: K7QM-9XHB)
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// 수락 / 거절 / 취소되지 않았고 만료되지 않은 초대 조건
+function pendingInvitationFilter() {
+  return {
+    acceptedAt: { $exists: false },
+    declinedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  };
+}
+
+function publicInvitation(invitation, diaryTitle) {
+  return {
+    _id: invitation._id,
+    diaryId: invitation.diaryId,
+    ...(diaryTitle !== undefined && { diaryTitle }),
+    email: invitation.email || null,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+    codeHint: invitation.codeHint,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt,
+  };
+}
+
+async function usernames(userIds) {
+  const users = await collections.login
+    .find({ email: { $in: userIds } }, { projection: { email: 1, username: 1, picture: 1 } })
+    .toArray();
+  return new Map(users.map(user => [user.email, user]));
+}
+
+// ============================================
+// 멤버 관리
+// ============================================
+
+/**
+ * 다이어리 멤버 목록 (소유자 포함, 멤버라면 누구나 조회 가능)
+ */
+async function listMembers(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'viewer');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const members = diary.members || [];
+    const users = await usernames([diary.userId, ...members.map(member => member.userId)]);
+    const describe = (userId, extra) => ({
+      userId,
+      username: users.get(userId)?.username || null,
+      picture: users.get(userId)?.picture || null,
+      ...extra,
+    });
+
+    res.json({
+      success: true,
+      myRole: diaryRole(diary, req.user.userId),
+      data: [
+        describe(diary.userId, { role: 'owner', joinedAt: diary.createdAt }),
+        ...members.map(member => describe(member.userId, {
+          role: member.role,
+          joinedAt: member.joinedAt,
+          invitedBy: member.invitedBy,
+        })),
+      ],
+    });
+  } catch (error) {
+    console.error('❌ 멤버 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '멤버 목록을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 멤버 역할 변경 (소유자만, body: { role: editor | viewer })
+ */
+async function updateMemberRole(req, res) {
+  const { role } = req.body || {};
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role은 ${MEMBER_ROLES.join(', ')} 중 하나여야 합니다.` });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'owner');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const result = await collections.diaries.updateOne(
+      { _id: diary._id, 'members.userId': req.params.memberId },
+      { $set: { 'members.$.role': role } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, error: '멤버를 찾을 수 없습니다.' });
+    }
+
+    console.log(`👥 멤버 역할 변경: diary=${diary._id}, member=${req.params.memberId} → ${role}`);
+    res.json({ success: true, message: '✅ 멤버 역할이 변경되었습니다.', userId: req.params.memberId, role });
+  } catch (error) {
+    console.error('❌ 멤버 역할 변경 오류:', error);
+    res.status(500).json({ success: false, error: '멤버 역할을 변경하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 멤버 내보내기 (소유자) / 다이어리에서 나가기 (본인)
+ * 멤버가 올린 사진은 다이어리에 그대로 남음
+ */
+async function removeMember(req, res) {
+  try {
+    const { userId } = req.user;
+    const { memberId } = req.params;
+    const leaving = memberId === userId;
+
+    const diary = await findAccessibleDiary(req.params.diaryId, userId, leaving ? 'viewer' : 'owner');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+    if (memberId === diary.userId) {
+      return res.status(400).json({ success: false, error: '다이어리 소유자는 나갈 수 없습니다.' });
+    }
+
+    const result = await collections.diaries.updateOne(
+      { _id: diary._id, 'members.userId': memberId },
+      { $pull: { members: { userId: memberId } } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, error: '멤버를 찾을 수 없습니다.' });
+    }
+
+    console.log(`👥 멤버 ${leaving ? '나가기' : '내보내기'}: diary=${diary._id}, member=${memberId}`);
+    res.json({
+      success: true,
+      message: leaving ? '✅ 다이어리에서 나갔습니다.' : '✅ 멤버를 내보냈습니다.',
+    });
+  } catch (error) {
+    console.error('❌ 멤버 삭제 오류:', error);
+    res.status(500).json({ success: false, error: '멤버를 삭제하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// ============================================
+// 초대 (이메일 / 초대 코드)
+// ============================================
+
+async function sendInvitationMail(invitation, code, diary, inviter) {
+  await sendMail({
+    to: invitation.email,
+    subject: `[Travely] ${inviter.username || inviter.userId}님이 여행 다이어리에 초대했습니다`,
+    text: [
+      `"${diary.title}" 다이어리에 ${invitation.role === 'editor' ? '편집자' : '보기 전용 멤버'}로 초대되었습니다.`,
+      `앱에 로그인하면 초대 목록에서 수락할 수 있고, 아래 초대 코드를 입력해도 됩니다. (${INVITATION_TTL_DAYS}일 동안 유효)`,
+      `초대 코드: ${code}`,
+      `${APP_BASE_URL}/invitations?code=${encodeURIComponent(code)}`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * 초대 만들기 (소유자만)
+ * body: { email, role } — email이 있으면 그 계정만 수락 가능하고 메일 발송, 없으면 코드를 아는 사람 누구나 1회 수락
+ * 초대 코드 원문은 이때 한 번만 응답 (DB에는 해시만 저장)
+ */
+async function createInvitation(req, res) {
+  const { role = 'editor' } = req.body || {};
+  const email = req.body?.email ? normalizeEmail(req.body.email) : null;
+
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role은 ${MEMBER_ROLES.join(', ')} 중 하나여야 합니다.` });
+  }
+  if (req.body?.email !== undefined && req.body.email !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ success: false, error: '이메일 형식이 올바르지 않습니다.' });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'owner');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+    if (email && (normalizeEmail(diary.userId) === email || (diary.members || []).some(m => normalizeEmail(m.userId) === email))) {
+      return res.status(409).json({ success: false, error: '이미 다이어리 멤버입니다.' });
+    }
+
+    const code = generateInviteCode();
+    const invitation = {
+      diaryId: diary._id,
+      codeHash: hashCode(code),
+      codeHint: code.slice(0, 4),
+      ...(email && { email }),
+      role,
+      invitedBy: req.user.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      createdAt: new Date(),
+    };
+    const result = await collections.invitations.insertOne(invitation);
+    invitation._id = result.insertedId;
+
+    if (email) {
+      await sendInvitationMail(invitation, code, diary, req.user);
+    }
+
+    console.log(`✉️ 다이어리 초대: diary=${diary._id}, ${email || '초대 코드'} (${role})`);
+    res.json({
+      success: true,
+      message: email ? '✅ 초대 메일을 보냈습니다.' : '✅ 초대 코드가 생성되었습니다.',
+      invitation: { ...publicInvitation(invitation), code },
+    });
+  } catch (error) {
+    console.error('❌ 초대 생성 오류:', error);
+    res.status(500).json({ success: false, error: '초대를 만드는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 다이어리의 대기 중인 초대 목록 (소유자만)
+ */
+async function listDiaryInvitations(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'owner');
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const invitations = await collections.invitations
+      .find({ diaryId: diary._id, ...pendingInvitationFilter() })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ success: true, data: invitations.map(invitation => publicInvitation(invitation)) });
+  } catch (error) {
+    console.error('❌ 초대 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '초대 목록을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 초대 취소 (소유자만)
+ */
+async function revokeInvitation(req, res) {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, 'owner');
+    const invitationObjectId = toObjectId(req.params.invitationId);
+    const invitation = diary && invitationObjectId && await collections.invitations.findOneAndUpdate(
+      { _id: invitationObjectId, diaryId: diary._id, ...pendingInvitationFilter() },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: '초대를 찾을 수 없습니다.' });
+    }
+
+    res.json({ success: true, message: '✅ 초대가 취소되었습니다.' });
+  } catch (error) {
+    console.error('❌ 초대 취소 오류:', error);
+    res.status(500).json({ success: false, error: '초대를 취소하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 내 이메일로 온 대기 중인 초대 목록
+ */
+async function listMyInvitations(req, res) {
+  try {
+    const invitations = await collections.invitations
+      .find({ email: normalizeEmail(req.user.email), ...pendingInvitationFilter() })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    const diaries = await collections.diaries
+      .find(
+        { _id: { $in: invitations.map(invitation => invitation.diaryId) }, deletedAt: { $exists: false } },
+        { projection: { title: 1 } }
+      )
+      .toArray();
+    const titles = new Map(diaries.map(diary => [diary._id.toString(), diary.title]));
+
+    res.json({
+      success: true,
+      data: invitations
+        .filter(invitation => titles.has(invitation.diaryId.toString()))
+        .map(invitation => publicInvitation(invitation, titles.get(invitation.diaryId.toString()))),
+    });
+  } catch (error) {
+    console.error('❌ 내 초대 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '초대 목록을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+// 초대 코드 또는 (내 이메일로 온) 초대 id로 대기 중인 초대 찾기
+// /api/invitations/:invitationId/accept 에서는 코드를 받지 않음 (코드 대입은 속도 제한이 걸린 /api/invitations/accept로만)
+function invitationLookup(req) {
+  if (req.params.invitationId) {
+    const invitationObjectId = toObjectId(req.params.invitationId);
+    return invitationObjectId ? { _id: invitationObjectId, email: normalizeEmail(req.user.email) } : null;
+  }
+
+  const { code, invitationId } = req.body || {};
+  if (code) return { codeHash: hashCode(code) };
+
+  const invitationObjectId = toObjectId(invitationId);
+  if (!invitationObjectId) return null;
+  return { _id: invitationObjectId, email: normalizeEmail(req.user.email) };
+}
+
+/**
+ * 초대 수락 (body: { code } 또는 { invitationId })
+ * 이메일로 보낸 초대는 그 이메일 계정만 수락 가능
+ */
+async function acceptInvitation(req, res) {
+  try {
+    const { userId, email } = req.user;
+    const lookup = invitationLookup(req);
+    if (!lookup) {
+      return res.status(400).json({ success: false, error: '초대 코드 또는 초대 id가 필요합니다.' });
+    }
+
+    const invitation = await collections.invitations.findOne({ ...lookup, ...pendingInvitationFilter() });
+    if (!invitation || (invitation.email && invitation.email !== normalizeEmail(email))) {
+      return res.status(404).json({ success: false, error: '초대가 유효하지 않거나 만료되었습니다.' });
+    }
+
+    const diary = await collections.diaries.findOne({ _id: invitation.diaryId }, { projection: DIARY_HIDDEN_FIELDS });
+    if (!diary || diary.deletedAt) {
+      return res.status(404).json({ success: false, error: '초대가 유효하지 않거나 만료되었습니다.' });
+    }
+    if (diaryRole(diary, userId)) {
+      return res.status(409).json({ success: false, error: '이미 다이어리 멤버입니다.' });
+    }
+
+    // 같은 초대를 동시에 두 번 수락하지 못하도록 먼저 사용 처리
+    const claimed = await collections.invitations.findOneAndUpdate(
+      { _id: invitation._id, ...pendingInvitationFilter() },
+      { $set: { acceptedAt: new Date(), acceptedBy: userId } }
+    );
+    if (!claimed) {
+      return res.status(404).json({ success: false, error: '초대가 유효하지 않거나 만료되었습니다.' });
+    }
+
+    const member = { userId, role: invitation.role, joinedAt: new Date(), invitedBy: invitation.invitedBy };
+    await collections.diaries.updateOne(
+      { _id: diary._id, userId: { $ne: userId }, 'members.userId': { $ne: userId } },
+      { $push: { members: member } }
+    );
+
+    console.log(`👥 초대 수락: diary=${diary._id}, member=${userId} (${invitation.role})`);
+    res.json({
+      success: true,
+      message: '✅ 다이어리에 참여했습니다.',
+      diary: { _id: diary._id, title: diary.title },
+      role: invitation.role,
+    });
+  } catch (error) {
+    console.error('❌ 초대 수락 오류:', error);
+    res.status(500).json({ success: false, error: '초대를 수락하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 내 이메일로 온 초대 거절
+ */
+async function declineInvitation(req, res) {
+  try {
+    const invitationObjectId = toObjectId(req.params.invitationId);
+    const invitation = invitationObjectId && await collections.invitations.findOneAndUpdate(
+      { _id: invitationObjectId, email: normalizeEmail(req.user.email), ...pendingInvitationFilter() },
+      { $set: { declinedAt: new Date() } }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: '초대를 찾을 수 없습니다.' });
+    }
+
+    res.json({ success: true, message: '✅ 초대를 거절했습니다.' });
+  } catch (error) {
+    console.error('❌ 초대 거절 오류:', error);
+    res.status(500).json({ success: false, error: '초대를 거절하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 다이어리를 완전히 지울 때 초대도 삭제
+ */
+async function deleteInvitations(diaryIds) {
+  const result = await collections.invitations.deleteMany({ diaryId: { $in: diaryIds } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  initializeCollections,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listDiaryInvitations,
+  revokeInvitation,
+  listMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  deleteInvitations
+};
@@ -1,4 +1,5 @@
 const { MongoClient, ObjectId } = require('mongodb');
+const { readBlob } = require('../utils/blob-store');
 
 // 라즈베리파이 프린트 서버 URL (환경변수로 설정 가능)
 const RASPBERRY_PI_URL = process.env.RASPBERRY_PI_URL || 'http://localhost:3002';
@@ -21,13 +22,15 @@ const printJobs = new Map();
  */
 async function printDiary(req, res) {
   try {
-    const { diaryId, userId, pageNumbers } = req.body;
+    const { diaryId, pageNumbers } = req.body;
+    // 인증 미들웨어가 확인한 호출자 (body의 userId는 신뢰하지 않음)
+    const { userId } = req.user;
 
     // 필수 파라미터 검증
-    if (!diaryId || !userId) {
+    if (!diaryId) {
       return res.status(400).json({
         success: false,
-        error: '다이어리 ID와 사용자 ID가 필요합니다.'
+        error: '다이어리 ID가 필요합니다.'
       });
     }
 
@@ -36,7 +39,7 @@ async function printDiary(req, res) {
     // 다이어리 조회
     const objectIdDiaryId = new ObjectId(diaryId);
     const diary = await diariesCollection.findOne({ _id: objectIdDiaryId });
-    if (!diary || diary.userId !== userId) {
+    if (!diary || diary.userId !== userId || diary.deletedAt) {
       return res.status(404).json({
         success: false,
         error: '다이어리를 찾을 수 없습니다.'
@@ -44,7 +47,11 @@ async function printDiary(req, res) {
     }
 
     // 인쇄 가능한 이미지 데이터 조회
-    const printableDiary = await printableDiaryCollection.findOne({ diaryId: objectIdDiaryId });
+    // 다시 저장할 때마다 새 인쇄본이 생기므로 가장 최근 것 사용
+    const printableDiary = await printableDiaryCollection.findOne(
+      { diaryId: { $in: [objectIdDiaryId, diaryId] } },
+      { sort: { createdAt: -1 } }
+    );
     if (!printableDiary || !printableDiary.pages || printableDiary.pages.length === 0) {
       return res.status(404).json({
         success: false,
@@ -108,6 +115,19 @@ async function printDiary(req, res) {
   }
 }
 
+/**
+ * 파일 저장소에 있는 페이지를 Base64로 읽어옴 (라즈베리파이는 imageData를 기대함)
+ */
+async function loadPageData(pages) {
+  return Promise.all(pages.map(async (page) => {
+    if (page.imageData || !page.blobId) {
+      return { pageNumber: page.pageNumber, imageData: page.imageData };
+    }
+    const buffer = await readBlob(page.blobId);
+    return { pageNumber: page.pageNumber, imageData: buffer.toString('base64') };
+  }));
+}
+
 /**
  * 라즈베리파이로 인쇄 데이터 전송 (비동기)
  */
@@ -122,6 +142,8 @@ async function sendToPrinter(jobId, printData) {
       job.updatedAt = new Date();
     }
 
+    const pages = await loadPageData(printData.pages);
+
     // 라즈베리파이로 HTTP POST 요청
     // Node.js 18 이상에서는 fetch가 기본 내장
     const response = await fetch(`${RASPBERRY_PI_URL}/api/print`, {
@@ -129,7 +151,8 @@ async function sendToPrinter(jobId, printData) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         jobId,
-        ...printData
+        ...printData,
+        pages
       }),
       signal: AbortSignal.timeout(30000) // 30초 타임아웃
     });
@@ -172,7 +195,7 @@ async function getPrintStatus(req, res) {
     const { jobId } = req.params;
 
     const job = printJobs.get(jobId);
-    if (!job) {
+    if (!job || job.userId !== req.user.userId) {
       return res.status(404).json({
         success: false,
         error: '인쇄 작업을 찾을 수 없습니다.'
@@ -0,0 +1,456 @@
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { signShareAccessToken, verifyShareAccessToken } = require('../middleware/auth');
+const { parseVariantName } = require('../utils/image-variants');
+const fileController = require('./file-controller');
+const { DIARY_HIDDEN_FIELDS, findAccessibleDiary } = require('../utils/diary-access');
+
+// 공유 링크 설정
+const MAX_SHARE_DAYS = 365;
+const MIN_SHARE_PASSWORD_LENGTH = 4;
+const MAX_SHARE_LABEL_LENGTH = 50;
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let collections = {};
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// { shares, diaries, images, printable, aiResults }
+function initializeCollections(refs) {
+  collections = refs;
+}
+
+function toObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch (e) {
+    return null;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 다이어리 id는 ObjectId/문자열 두 형태로 저장된 문서가 섞여 있으므로 둘 다 조회
+function diaryIdFilter(diary) {
+  return { diaryId: { $in: [diary._id, diary._id.toString()] } };
+}
+
+// 공유 링크는 다이어리 소유자만 만들고 관리
+async function findOwnedDiary(diaryId, userId) {
+  return findAccessibleDiary(diaryId, userId, 'owner');
+}
+
+// 취소되지 않았고 만료되지 않은 링크 조건
+function activeShareFilter() {
+  return {
+    revokedAt: { $exists: false },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  };
+}
+
+// 공유 링크 주소 (프론트엔드 페이지가 있으면 그 주소, 없으면 공개 API 주소)
+function shareUrl(req, token) {
+  if (process.env.SHARE_PAGE_URL) {
+    return `${process.env.SHARE_PAGE_URL.replace(/\/$/, '')}/${token}`;
+  }
+  return `${fileController.publicBaseUrl(req)}/api/public/shares/${token}`;
+}
+
+function publicShareInfo(share) {
+  return {
+    _id: share._id,
+    diaryId: share.diaryId,
+    label: share.label || null,
+    tokenHint: share.tokenHint,
+    hasPassword: Boolean(share.passwordHash),
+    includeExif: share.includeExif === true,
+    expiresAt: share.expiresAt,
+    createdAt: share.createdAt,
+    lastAccessedAt: share.lastAccessedAt || null,
+    accessCount: share.accessCount || 0,
+  };
+}
+
+// expiresInDays(숫자) 또는 expiresAt(날짜) 중 하나, 둘 다 없으면 만료 없음
+function parseExpiry({ expiresInDays, expiresAt }) {
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+      return { error: `expiresInDays는 0보다 크고 ${MAX_SHARE_DAYS} 이하여야 합니다.` };
+    }
+    return { value: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { error: 'expiresAt은 미래 시각이어야 합니다.' };
+    }
+    if (date.getTime() - Date.now() > MAX_SHARE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `공유 기간은 최대 ${MAX_SHARE_DAYS}일입니다.` };
+    }
+    return { value: date };
+  }
+
+  return { value: null };
+}
+
+/**
+ * 공유 링크 만들기
+ * body: { expiresInDays | expiresAt, password, includeExif, label }
+ * 토큰 원문은 이때 한 번만 응답 (DB에는 해시만 저장)
+ */
+async function createShare(req, res) {
+  try {
+    const { userId } = req.user;
+    const { password, includeExif, label } = req.body || {};
+
+    const diary = await findOwnedDiary(req.params.diaryId, userId);
+    if (!diary) {
+      return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+    }
+
+    const expiry = parseExpiry(req.body || {});
+    if (expiry.error) {
+      return res.status(400).json({ success: false, error: expiry.error });
+    }
+    if (password !== undefined && password !== null && String(password).length < MIN_SHARE_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `비밀번호는 ${MIN_SHARE_PASSWORD_LENGTH}자 이상이어야 합니다.` });
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > MAX_SHARE_LABEL_LENGTH)) {
+      return res.status(400).json({ success: false, error: `label은 ${MAX_SHARE_LABEL_LENGTH}자 이하 문자열이어야 합니다.` });
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = {
+      tokenHash: hashToken(token),
+      tokenHint: token.slice(0, 6),
+      diaryId: diary._id,
+      userId,
+      ...(label && { label: label.trim() }),
+      passwordHash: password ? await bcrypt.hash(String(password), 10) : null,
+      includeExif: includeExif === true,
+      expiresAt: expiry.value,
+      createdAt: new Date(),
+    };
+    const result = await collections.shares.insertOne(share);
+
+    console.log(`🔗 공유 링크 생성: diary=${diary._id}, share=${result.insertedId}`);
+
+    res.json({
+      success: true,
+      message: '✅ 공유 링크가 생성되었습니다.',
+      share: {
+        ...publicShareInfo({ ...share, _id: result.insertedId }),
+        token,
+        url: shareUrl(req, token),
+      },
+    });
+  } catch (error) {
+    console.error('❌ 공유 링크 생성 오류:', error);
+    res.status(500).json({ success: false, error: '공유 링크를 만드는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 내 활성 공유 링크 목록 (?diaryId= 로 다이어리별 조회)
+ */
+async function listShares(req, res) {
+  try {
+    const { userId } = req.user;
+    const filter = { userId, ...activeShareFilter() };
+
+    if (req.query.diaryId) {
+      const diary = await findOwnedDiary(req.query.diaryId, userId);
+      if (!diary) {
+        return res.status(404).json({ success: false, error: '다이어리를 찾을 수 없습니다.' });
+      }
+      filter.diaryId = diary._id;
+    }
+
+    const shares = await collections.shares.find(filter).sort({ createdAt: -1 }).toArray();
+
+    const diaries = await collections.diaries
+      .find({ _id: { $in: [...new Set(shares.map(share => share.diaryId))] } }, { projection: { title: 1 } })
+      .toArray();
+    const titles = new Map(diaries.map(diary => [diary._id.toString(), diary.title]));
+
+    res.json({
+      success: true,
+      data: shares.map(share => ({
+        ...publicShareInfo(share),
+        diaryTitle: titles.get(share.diaryId.toString()) || null,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ 공유 링크 목록 조회 오류:', error);
+    res.status(500).json({ success: false, error: '공유 링크 목록을 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 공유 링크 취소 (취소한 링크는 즉시 열 수 없음)
+ */
+async function revokeShare(req, res) {
+  try {
+    const shareObjectId = toObjectId(req.params.shareId);
+    const share = shareObjectId && await collections.shares.findOneAndUpdate(
+      { _id: shareObjectId, userId: req.user.userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!share) {
+      return res.status(404).json({ success: false, error: '공유 링크를 찾을 수 없습니다.' });
+    }
+
+    console.log(`🔗 공유 링크 취소: share=${share._id}`);
+    res.json({ success: true, message: '✅ 공유 링크가 취소되었습니다.' });
+  } catch (error) {
+    console.error('❌ 공유 링크 취소 오류:', error);
+    res.status(500).json({ success: false, error: '공유 링크를 취소하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// ============================================
+// 공개 API (로그인 없이 토큰으로 조회, 읽기 전용)
+// ============================================
+
+// 링크가 없거나 / 취소됐거나 / 만료됐거나 / 다이어리가 휴지통에 있으면 모두 같은 응답 (어느 쪽인지 노출하지 않음)
+function sendShareNotFound(res) {
+  return res.status(404).json({ success: false, error: '공유 링크가 유효하지 않거나 만료되었습니다.' });
+}
+
+async function findActiveShare(token) {
+  if (!token) return null;
+  const share = await collections.shares.findOne({ tokenHash: hashToken(token), ...activeShareFilter() });
+  if (!share) return null;
+
+  const diary = await collections.diaries.findOne({ _id: share.diaryId }, { projection: DIARY_HIDDEN_FIELDS });
+  if (!diary || diary.deletedAt) return null;
+
+  return { share, diary };
+}
+
+// 비밀번호 링크는 unlock에서 받은 접근 토큰 필요 (헤더 X-Share-Access 또는 ?access=)
+function shareAccessToken(req) {
+  return req.get('X-Share-Access') || req.query.access;
+}
+
+/**
+ * 공유 토큰 확인 미들웨어 → req.share, req.sharedDiary 설정
+ */
+async function loadShare(req, res, next) {
+  try {
+    const found = await findActiveShare(req.params.token);
+    if (!found) return sendShareNotFound(res);
+
+    const { share, diary } = found;
+    if (share.passwordHash && !verifyShareAccessToken(shareAccessToken(req), share._id.toString())) {
+      return res.status(401).json({
+        success: false,
+        passwordRequired: true,
+        error: '비밀번호가 필요한 공유 링크입니다.',
+      });
+    }
+
+    req.share = share;
+    req.sharedDiary = diary;
+    next();
+  } catch (error) {
+    console.error('❌ 공유 링크 확인 오류:', error);
+    res.status(500).json({ success: false, error: '공유 링크를 확인하는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 비밀번호 링크 열기 → 접근 토큰 발급
+ */
+async function unlockShare(req, res) {
+  try {
+    const found = await findActiveShare(req.params.token);
+    if (!found) return sendShareNotFound(res);
+
+    const { share } = found;
+    if (!share.passwordHash) {
+      return res.status(400).json({ success: false, error: '비밀번호가 없는 공유 링크입니다.' });
+    }
+
+    const isMatch = await bcrypt.compare(String((req.body || {}).password || ''), share.passwordHash);
+    if (!isMatch) {
+      return res.status(401).json({ success: false, passwordRequired: true, error: '비밀번호가 올바르지 않습니다.' });
+    }
+
+    res.json({ success: true, accessToken: signShareAccessToken(share._id.toString()) });
+  } catch (error) {
+    console.error('❌ 공유 링크 비밀번호 확인 오류:', error);
+    res.status(500).json({ success: false, error: '비밀번호를 확인하는 중 오류가 발생했습니다.' });
+  }
+}
+
+// 공개 파일 URL (비밀번호 링크면 접근 토큰을 붙여서 <img src>에 바로 사용 가능하게)
+function sharedFileUrl(req, resourcePath, size) {
+  const params = new URLSearchParams();
+  if (size && size !== 'original') params.set('size', size);
+  const access = shareAccessToken(req);
+  if (req.share.passwordHash && access) params.set('access', access);
+
+  const query = params.toString();
+  return `${fileController.publicBaseUrl(req)}/api/public/shares/${req.params.token}${resourcePath}${query ? `?${query}` : ''}`;
+}
+
+// 공유용 사진 정보: 촬영 위치(GPS) / 카메라 정보 등 EXIF는 includeExif 링크에서만 포함
+// 사진 장소의 distanceKm(촬영 지점 ~ 도시 거리)도 GPS에서 나온 값이므로 EXIF를 빼면 도시 단위까지만
+function sharedPlace(req, place) {
+  if (!place || req.share.includeExif) return place || null;
+  const { countryCode, country, region, city } = place;
+  return { countryCode, country, region, city };
+}
+
+// 올린 사람(uploadedBy)은 멤버의 이메일이므로 익명 방문자에게 보내지 않음
+function sharedPhotoSlot(req, slot, size) {
+  const { exifData, imageData, imageUrl, uploadedBy, ...rest } = slot;
+  return {
+    ...rest,
+    place: sharedPlace(req, slot.place),
+    ...(req.share.includeExif && { exifData }),
+    imageUrl: slot.id && !String(slot.id).startsWith('temp')
+      ? sharedFileUrl(req, `/photos/${slot.id}/content`, size)
+      : null,
+  };
+}
+
+// 일정의 장소 중심 좌표도 GPS에서 나온 값이므로 같이 제거
+function sharedItinerary(req, itinerary) {
+  if (!itinerary || req.share.includeExif) return itinerary || null;
+  return {
+    ...itinerary,
+    days: (itinerary.days || []).map(day => ({
+      ...day,
+      stops: (day.stops || []).map(({ center, ...stop }) => stop),
+    })),
+  };
+}
+
+/**
+ * 공유된 다이어리 조회 (읽기 전용)
+ */
+async function getSharedDiary(req, res) {
+  try {
+    const { share, sharedDiary: diary } = req;
+    const size = parseVariantName(req.query.size, 'medium');
+
+    const aiResult = await collections.aiResults.findOne(
+      diaryIdFilter(diary),
+      { sort: { createdAt: -1 }, projection: { content: 1 } }
+    );
+    const printable = await collections.printable.findOne(
+      { ...diaryIdFilter(diary), deletedAt: { $exists: false } },
+      { sort: { createdAt: -1 }, projection: { 'pages.pageNumber': 1 } }
+    );
+
+    await collections.shares.updateOne(
+      { _id: share._id },
+      { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        title: diary.title,
+        date: diary.date,
+        category: diary.category || [],
+        content: diary.content || '',
+        aiContent: aiResult?.content || null,
+        place: diary.place || null,
+        places: diary.places || [],
+        itinerary: sharedItinerary(req, diary.itinerary),
+        photoSlots: (diary.photoSlots || []).map(slot => sharedPhotoSlot(req, slot, size)),
+        printablePages: printable
+          ? (printable.pages || []).map(page => ({
+            pageNumber: page.pageNumber,
+            imageUrl: sharedFileUrl(req, `/printable/pages/${page.pageNumber}/content`, size),
+          }))
+          : [],
+        updatedAt: diary.updatedAt || diary.createdAt,
+      },
+      share: { expiresAt: share.expiresAt },
+    });
+  } catch (error) {
+    console.error('❌ 공유 다이어리 조회 오류:', error);
+    res.status(500).json({ success: false, error: '공유 다이어리를 불러오는 중 오류가 발생했습니다.' });
+  }
+}
+
+/**
+ * 공유된 다이어리의 사진 (다이어리에 들어 있는 사진만, 기본은 EXIF 제거)
+ */
+async function getSharedPhoto(req, res) {
+  try {
+    const { share, sharedDiary: diary } = req;
+    const { imageId } = req.params;
+
+    // 함께 쓰는 다이어리에는 멤버가 올린 사진도 있으므로 사진 주인이 아니라 다이어리에 들어 있는지로만 확인
+    const inDiary = (diary.photoSlots || []).some(slot => String(slot.id) === imageId);
+    const imageObjectId = inDiary && toObjectId(imageId);
+    const image = imageObjectId && await collections.images.findOne({ _id: imageObjectId });
+    if (!image) {
+      return res.status(404).json({ success: false, error: '사진을 찾을 수 없습니다.' });
+    }
+
+    await fileController.sendImage(req, res, image, { stripMetadata: !share.includeExif });
+  } catch (error) {
+    console.error('❌ 공유 사진 다운로드 오류:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: '사진을 불러오는 중 오류가 발생했습니다.' });
+    }
+  }
+}
+
+/**
+ * 공유된 다이어리의 인쇄 페이지 (가장 최근 인쇄본)
+ */
+async function getSharedPrintablePage(req, res) {
+  try {
+    const { sharedDiary: diary } = req;
+    const printable = await collections.printable.findOne(
+      { ...diaryIdFilter(diary), deletedAt: { $exists: false } },
+      { sort: { createdAt: -1 } }
+    );
+
+    const pageNumber = Number(req.params.pageNumber);
+    const page = printable && (printable.pages || []).find(p => p.pageNumber === pageNumber);
+    if (!page) {
+      return res.status(404).json({ success: false, error: '해당 페이지가 없습니다.' });
+    }
+
+    await fileController.sendPrintablePage(req, res, printable, page);
+  } catch (error) {
+    console.error('❌ 공유 인쇄 페이지 다운로드 오류:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: '페이지를 불러오는 중 오류가 발생했습니다.' });
+    }
+  }
+}
+
+/**
+ * 다이어리를 완전히 지울 때 공유 링크도 삭제
+ */
+async function deleteShares(diaryIds) {
+  const result = await collections.shares.deleteMany({ diaryId: { $in: diaryIds } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  initializeCollections,
+  createShare,
+  listShares,
+  revokeShare,
+  loadShare,
+  unlockShare,
+  getSharedDiary,
+  getSharedPhoto,
+  getSharedPrintablePage,
+  deleteShares
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// 토큰 유효기간 (환경변수로 설정 가능)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 14;
+const FILE_TOKEN_TTL = process.env.FILE_TOKEN_TTL || '1h';
+const SHARE_ACCESS_TOKEN_TTL = process.env.SHARE_ACCESS_TOKEN_TTL || '2h';
+// 토큰 용도 (같은 키로 서명하므로 audience로 구분해서 다른 용도의 토큰을 로그인 토큰으로 쓰지 못하게 함)
+const ACCESS_TOKEN_AUDIENCE = 'access';
+// 관리자 이메일 (쉼표로 구분)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// JWT 서명 키 (없으면 프로세스마다 임시 키 생성 → 재시작 시 기존 토큰 무효)
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET 환경변수가 없어 임시 키를 사용합니다. 재시작하면 모든 토큰이 무효화됩니다.');
+}
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let loginCollection;
+let refreshTokenCollection;
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+function initializeCollections(login, refreshTokens) {
+  loginCollection = login;
+  refreshTokenCollection = refreshTokens;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 액세스 토큰 발급 (JWT)
+ * 다이어리/이미지의 userId는 기존 데이터와 호환되도록 이메일을 사용
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { email: user.email, username: user.username },
+    JWT_SECRET,
+    { subject: user._id.toString(), audience: ACCESS_TOKEN_AUDIENCE, expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * 리프레시 토큰 발급 (랜덤 문자열, DB에는 해시만 저장)
+ */
+async function issueRefreshToken(user) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await refreshTokenCollection.insertOne({
+    tokenHash: hashToken(refreshToken),
+    userObjectId: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdAt: new Date(),
+  });
+
+  return refreshToken;
+}
+
+/**
+ * 로그인 성공 시 액세스 + 리프레시 토큰 한 쌍 발급
+ */
+async function issueTokens(user) {
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user),
+    tokenType: 'Bearer',
+  };
+}
+
+/**
+ * 리프레시 토큰으로 새 토큰 발급 (사용한 리프레시 토큰은 폐기 → 재사용 불가)
+ */
+async function rotateRefreshToken(refreshToken) {
+  const stored = await refreshTokenCollection.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!stored || stored.expiresAt < new Date()) {
+    return { success: false, msg: '유효하지 않은 리프레시 토큰입니다.' };
+  }
+
+  const user = await loginCollection.findOne({ _id: stored.userObjectId });
+  if (!user) {
+    return { success: false, msg: '존재하지 않는 사용자입니다.' };
+  }
+
+  return { success: true, user, tokens: await issueTokens(user) };
+}
+
+/**
+ * 리프레시 토큰 폐기 (로그아웃)
+ */
+async function revokeRefreshToken(refreshToken) {
+  await refreshTokenCollection.updateOne(
+    { tokenHash: hashToken(refreshToken) },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * 사용자의 모든 리프레시 토큰 폐기 (비밀번호 변경/재설정 시 다른 기기 로그아웃)
+ */
+async function revokeAllRefreshTokens(userObjectId) {
+  await refreshTokenCollection.updateMany(
+    { userObjectId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * 인증 미들웨어
+ * Authorization: Bearer <accessToken> 를 검증하고 req.user에 호출자 정보 설정
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: '로그인이 필요합니다.' });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+    // 파일 URL 토큰(uid만 있음)처럼 사용자 이메일이 없는 토큰은 로그인 토큰으로 인정하지 않음
+    if (!payload.email) {
+      throw new Error('missing email');
+    }
+    req.user = {
+      id: payload.sub,
+      userId: payload.email,
+      email: payload.email,
+      username: payload.username,
+    };
+    next();
+  } catch (err) {
+    return res.status(401).json({ success: false, error: '인증 토큰이 유효하지 않거나 만료되었습니다.' });
+  }
+}
+
+/**
+ * 관리자 전용 라우트 (authenticate 다음에 사용)
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_EMAILS.includes(String(req.user?.email || '').toLowerCase())) {
+    return res.status(403).json({ success: false, error: '관리자만 사용할 수 있습니다.' });
+  }
+  next();
+}
+
+/**
+ * 파일 URL용 서명 토큰 발급
+ * <img src>는 Authorization 헤더를 보낼 수 없으므로 URL에 짧은 수명의 토큰을 붙임
+ */
+function signFileToken(userId, resourcePath) {
+  return jwt.sign(
+    { uid: userId, path: resourcePath },
+    JWT_SECRET,
+    { audience: 'file', expiresIn: FILE_TOKEN_TTL }
+  );
+}
+
+/**
+ * 파일 다운로드용 인증 미들웨어
+ * ?token= 서명 토큰(해당 경로 전용) 또는 일반 Bearer 토큰 둘 다 허용
+ */
+function authenticateFile(req, res, next) {
+  const { token } = req.query;
+  if (!token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { audience: 'file' });
+    if (payload.path !== req.path) {
+      throw new Error('path mismatch');
+    }
+    req.user = { userId: payload.uid };
+    next();
+  } catch (err) {
+    return res.status(401).json({ success: false, error: '파일 링크가 유효하지 않거나 만료되었습니다.' });
+  }
+}
+
+/**
+ * 비밀번호가 걸린 공유 링크를 연 사람에게 주는 접근 토큰
+ * 사진 URL에도 붙여야 하므로 공유 링크 하나에만 쓸 수 있게 shareId를 넣음
+ */
+function signShareAccessToken(shareId) {
+  return jwt.sign(
+    { sid: shareId },
+    JWT_SECRET,
+    { audience: 'share', expiresIn: SHARE_ACCESS_TOKEN_TTL }
+  );
+}
+
+function verifyShareAccessToken(token, shareId) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { audience: 'share' });
+    return payload.sid === shareId;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  initializeCollections,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  authenticate,
+  requireAdmin,
+  signFileToken,
+  authenticateFile,
+  signShareAccessToken,
+  verifyShareAccessToken
+};
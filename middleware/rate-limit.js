@@ -0,0 +1,258 @@
+// ============================================
+// 요청 횟수 제한 + 로그인 실패 잠금
+// ============================================
+
+// 라우트별 제한 설정 (windowMs 동안 max회까지 허용)
+// RATE_LIMIT_CONFIG 환경변수(JSON)로 라우트별 값 덮어쓰기 가능
+// 예) RATE_LIMIT_CONFIG={"login":{"max":20}}
+const DEFAULT_LIMITS = {
+  login: { windowMs: 15 * 60 * 1000, max: 10 },
+  register: { windowMs: 60 * 60 * 1000, max: 5 },
+  passwordReset: { windowMs: 60 * 60 * 1000, max: 5 },
+  upload: { windowMs: 60 * 1000, max: 30 },
+  batchUpload: { windowMs: 60 * 1000, max: 10 },
+  shareAccess: { windowMs: 60 * 1000, max: 300 },
+  shareUnlock: { windowMs: 15 * 60 * 1000, max: 10 },
+  inviteAccept: { windowMs: 15 * 60 * 1000, max: 20 },
+};
+
+// 로그인 실패 잠금 설정
+// maxFailures번 연속 실패하면 잠그고, 이후 실패할 때마다 잠금 시간을 2배씩 늘림
+const DEFAULT_LOCKOUT = {
+  maxFailures: 5,
+  baseLockMs: 60 * 1000,
+  maxLockMs: 60 * 60 * 1000,
+  failureTtlMs: 24 * 60 * 60 * 1000,
+};
+
+function loadConfig() {
+  let overrides = {};
+  if (process.env.RATE_LIMIT_CONFIG) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMIT_CONFIG);
+    } catch (err) {
+      console.warn('⚠️ RATE_LIMIT_CONFIG 파싱 실패, 기본값을 사용합니다.');
+    }
+  }
+
+  const limits = {};
+  for (const [name, limit] of Object.entries(DEFAULT_LIMITS)) {
+    limits[name] = { ...limit, ...(overrides[name] || {}) };
+  }
+
+  return { limits, lockout: { ...DEFAULT_LOCKOUT, ...(overrides.lockout || {}) } };
+}
+
+const config = loadConfig();
+
+// ============================================
+// 저장소 (메모리 / MongoDB)
+// 저장소는 increment, get, set, delete 네 가지만 구현하면 교체 가능
+// ============================================
+
+// 메모리 저장소 (기본값, 서버 1대일 때)
+// 다시 조회되지 않는 키(IP / 이메일)가 쌓이지 않도록 주기적으로 만료된 항목을 정리
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      let entry = read(key);
+      if (!entry) {
+        entry = { count: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.expiresAt) };
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// MongoDB 저장소 (서버 여러 대가 같은 제한을 공유해야 할 때)
+// 컬렉션에 expiresAt TTL 인덱스가 있어야 만료 문서가 정리됨
+function createMongoStore(collection) {
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const isActive = { $gt: ['$expiresAt', now] };
+      // 창이 살아있으면 +1, 만료됐거나 처음이면 1부터 다시 시작
+      const doc = await collection.findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            count: { $cond: [isActive, { $add: ['$count', 1] }, 1] },
+            expiresAt: { $cond: [isActive, '$expiresAt', new Date(now.getTime() + windowMs)] },
+          },
+        }],
+        { upsert: true, returnDocument: 'after' }
+      );
+      return { count: doc.count, resetAt: doc.expiresAt };
+    },
+    async get(key) {
+      const doc = await collection.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      return doc ? doc.value : null;
+    },
+    async set(key, value, ttlMs) {
+      await collection.updateOne(
+        { _id: key },
+        { $set: { value, expiresAt: new Date(Date.now() + ttlMs) }, $unset: { count: '' } },
+        { upsert: true }
+      );
+    },
+    async delete(key) {
+      await collection.deleteOne({ _id: key });
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+// RATE_LIMIT_STORE=mongo 일 때만 MongoDB 저장소로 전환
+function initializeCollections(rateLimits) {
+  if (process.env.RATE_LIMIT_STORE === 'mongo') {
+    store = createMongoStore(rateLimits);
+    console.log('🛡️ 요청 제한 저장소: MongoDB');
+  }
+}
+
+function setStore(customStore) {
+  store = customStore;
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// ============================================
+// 요청 횟수 제한 미들웨어
+// ============================================
+
+function sendTooManyRequests(res, retryAfterMs) {
+  const retryAfterSec = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfterSec));
+  return res.status(429).json({
+    success: false,
+    error: `요청이 너무 많습니다. ${retryAfterSec}초 후 다시 시도해주세요.`,
+    retryAfter: retryAfterSec,
+  });
+}
+
+/**
+ * 라우트별 요청 제한 미들웨어 생성
+ * IP 기준으로 세고, accountKey가 있으면 계정(이메일/사용자) 기준으로도 따로 셈
+ */
+function rateLimit(name, { accountKey } = {}) {
+  const limit = config.limits[name];
+  if (!limit) {
+    throw new Error(`알 수 없는 요청 제한 설정: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const keys = [`${name}:ip:${req.ip}`];
+      const account = accountKey ? accountKey(req) : null;
+      if (account) {
+        keys.push(`${name}:account:${account}`);
+      }
+
+      for (const key of keys) {
+        const { count, resetAt } = await store.increment(key, limit.windowMs);
+        if (count > limit.max) {
+          console.warn(`🛡️ 요청 제한 초과: ${key} (${count}/${limit.max})`);
+          return sendTooManyRequests(res, resetAt.getTime() - Date.now());
+        }
+      }
+
+      next();
+    } catch (err) {
+      // 저장소 장애로 서비스 전체가 막히지 않도록 통과시킴
+      console.error('❌ 요청 제한 확인 오류:', err);
+      next();
+    }
+  };
+}
+
+// ============================================
+// 로그인 실패 잠금 (지수 백오프)
+// 이메일 + IP 단위로 잠금 → 다른 곳에서 틀린 비밀번호를 보내도 본인의 로그인은 막히지 않음
+// (여러 IP에서 한 계정을 노리는 시도는 login 요청 제한의 계정 기준 횟수로 제한)
+// ============================================
+
+function lockKey(email, ip) {
+  return `login-failures:${normalizeEmail(email)}:${ip}`;
+}
+
+/**
+ * 이 IP에서 잠겨 있는 계정인지 확인
+ * 잠겨 있으면 남은 시간(ms), 아니면 0
+ */
+async function getLoginLockRemaining(email, ip) {
+  const state = await store.get(lockKey(email, ip));
+  if (!state || !state.lockedUntil) return 0;
+  return Math.max(0, new Date(state.lockedUntil).getTime() - Date.now());
+}
+
+/**
+ * 로그인 실패 기록 (존재하지 않는 이메일도 똑같이 기록해서 가입 여부를 노출하지 않음)
+ */
+async function recordLoginFailure(email, ip) {
+  const { maxFailures, baseLockMs, maxLockMs, failureTtlMs } = config.lockout;
+  const state = (await store.get(lockKey(email, ip))) || { failures: 0 };
+
+  const failures = state.failures + 1;
+  let lockedUntil = null;
+  if (failures >= maxFailures) {
+    const lockMs = Math.min(baseLockMs * 2 ** (failures - maxFailures), maxLockMs);
+    lockedUntil = new Date(Date.now() + lockMs);
+    console.warn(`🔒 로그인 잠금: ${normalizeEmail(email)} @ ${ip} (${failures}회 실패, ${Math.round(lockMs / 1000)}초)`);
+  }
+
+  await store.set(lockKey(email, ip), { failures, lockedUntil }, failureTtlMs);
+}
+
+async function resetLoginFailures(email, ip) {
+  await store.delete(lockKey(email, ip));
+}
+
+module.exports = {
+  initializeCollections,
+  setStore,
+  createMemoryStore,
+  createMongoStore,
+  rateLimit,
+  sendTooManyRequests,
+  getLoginLockRemaining,
+  recordLoginFailure,
+  resetLoginFailures,
+  normalizeEmail
+};
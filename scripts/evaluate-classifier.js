@@ -0,0 +1,177 @@
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const readline = require("readline");
+const classifierPool = require("../utils/classifier-pool");
+const modelRegistry = require("../utils/model-registry");
+const { CATEGORY_LABELS, TOP_K, toPrediction } = require("../utils/category-prediction");
+const { classificationReport } = require("../utils/classification-metrics");
+
+// 분류 모델 오프라인 평가
+// 사용법: npm run evaluate:classifier -- <데이터.jsonl> [--model 모델이름 ...] [--limit N] [--json]
+// 데이터 한 줄: {"text": ..., "label": 0~4} | {"text": ..., "labels": [0, 1, 0, 1, 0]} | {"text": ..., "category": "커플여행"}
+// (관리자 학습 데이터 내보내기 JSONL을 그대로 사용 가능)
+// --model을 여러 번 주면 모델마다 차례로 평가하고 비교, 생략하면 지금 설정된 기본 모델
+
+const LABELS = Object.keys(CATEGORY_LABELS);
+const CATEGORY_NAMES = Object.values(CATEGORY_LABELS);
+
+function parseArgs(argv) {
+  const options = { dataset: null, models: [], limit: Infinity, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--model") options.models.push(argv[++i]);
+    else if (arg === "--limit") options.limit = Number(argv[++i]);
+    else if (arg === "--json") options.json = true;
+    else if (!options.dataset) options.dataset = arg;
+    else throw new Error(`알 수 없는 인자: ${arg}`);
+  }
+  if (!options.dataset) throw new Error("평가할 JSONL 파일 경로를 입력해주세요.");
+  if (!(options.limit > 0)) throw new Error("--limit은 1 이상이어야 합니다.");
+  return options;
+}
+
+// 라벨 표기(번호 / 영문 / 한글) → 한글 카테고리
+function toCategoryName(value) {
+  if (Number.isInteger(value)) return CATEGORY_LABELS[LABELS[value]] || null;
+  if (CATEGORY_LABELS[value]) return CATEGORY_LABELS[value];
+  return CATEGORY_NAMES.includes(value) ? value : null;
+}
+
+// 한 줄 → { text, categories: [정답 카테고리...] } (첫 번째가 단일 라벨 평가 기준)
+function parseExample(line, lineNumber) {
+  const row = JSON.parse(line);
+  let categories = [];
+  if (Array.isArray(row.labels)) {
+    categories = row.labels.map((flag, i) => (flag ? CATEGORY_LABELS[LABELS[i]] : null)).filter(Boolean);
+  } else if (row.label !== undefined) {
+    categories = [toCategoryName(row.label)].filter(Boolean);
+  } else if (row.category !== undefined) {
+    categories = [].concat(row.category).map(toCategoryName).filter(Boolean);
+  }
+
+  if (typeof row.text !== "string" || !row.text.trim() || categories.length === 0) {
+    throw new Error(`${lineNumber}번째 줄: text와 label(labels / category)이 필요합니다.`);
+  }
+  return { text: row.text, categories };
+}
+
+async function readDataset(file, limit) {
+  const examples = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+    examples.push(parseExample(line, lineNumber));
+    if (examples.length >= limit) break;
+  }
+  lines.close();
+  return examples;
+}
+
+async function evaluateModel(model, examples) {
+  classifierPool.startClassifierPool([model]);
+  try {
+    const health = await classifierPool.waitForReady();
+    const status = health.models.find(m => m.name === model.name);
+    if (!status || status.status === "down") {
+      const lastError = health.workers.find(worker => worker.lastError)?.lastError;
+      return { model: model.name, error: `모델을 불러오지 못했습니다: ${lastError || "알 수 없는 오류"}` };
+    }
+
+    const pairs = [];
+    let failed = 0;
+    let uncertain = 0;
+    let exactSetMatches = 0;
+    const startedAt = Date.now();
+
+    for (const [i, example] of examples.entries()) {
+      try {
+        const prediction = toPrediction(await classifierPool.classify(example.text, { topK: TOP_K, model: model.name }));
+        pairs.push({ actual: example.categories[0], predicted: prediction.category });
+        if (prediction.status === "uncertain") uncertain += 1;
+
+        const predictedSet = prediction.categories.map(item => item.category).sort().join(",");
+        if (predictedSet === [...example.categories].sort().join(",")) exactSetMatches += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`❌ ${i + 1}번째 예시 분류 실패 (${err.code}): ${err.message}`);
+      }
+      if (process.stdout.isTTY) process.stdout.write(`\r⏳ ${model.name}: ${i + 1}/${examples.length}`);
+    }
+    if (process.stdout.isTTY) process.stdout.write("\n");
+
+    const classified = examples.length - failed;
+    return {
+      model: model.name,
+      modelVersion: status.modelVersion,
+      examples: examples.length,
+      failed,
+      uncertainRate: classified > 0 ? Math.round(uncertain / classified * 10000) / 10000 : 0,
+      // 여러 카테고리 정답과 선택된 카테고리 집합이 정확히 같은 비율
+      exactSetMatch: classified > 0 ? Math.round(exactSetMatches / classified * 10000) / 10000 : 0,
+      averageMs: classified > 0 ? Math.round((Date.now() - startedAt) / examples.length) : null,
+      ...classificationReport(pairs, CATEGORY_NAMES),
+    };
+  } finally {
+    classifierPool.stopClassifierPool();
+  }
+}
+
+function printReport(report) {
+  console.log(`\n📊 ${report.model}${report.modelVersion ? ` (${report.modelVersion})` : ""}`);
+  if (report.error) {
+    console.log(`❌ ${report.error}`);
+    return;
+  }
+
+  console.log(`예시 ${report.examples}개 / 실패 ${report.failed}개 / 평균 ${report.averageMs}ms`);
+  console.log(`정확도 ${report.accuracy}  매크로 F1 ${report.macro.f1}  uncertain 비율 ${report.uncertainRate}  카테고리 집합 일치 ${report.exactSetMatch}`);
+  console.table(Object.fromEntries(Object.entries(report.perClass)));
+
+  console.log("혼동 행렬 (행 = 정답, 열 = 예측)");
+  console.table(Object.fromEntries(report.labels.map((label, i) => [
+    label,
+    Object.fromEntries(report.labels.map((predicted, j) => [predicted, report.matrix[i][j]])),
+  ])));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // --json이면 표준 출력에는 결과 JSON만 (워커 로그는 stderr로)
+  const printResult = console.log;
+  if (options.json) console.log = console.error;
+  const examples = await readDataset(options.dataset, options.limit);
+  if (examples.length === 0) throw new Error("평가할 예시가 없습니다.");
+
+  const names = options.models.length > 0 ? options.models : [modelRegistry.modelConfig().active.name];
+  const models = names.map((name) => {
+    const model = modelRegistry.findModel(name);
+    if (!model) throw new Error(`설치되지 않은 모델: ${name} (설치된 모델: ${modelRegistry.listModels().map(m => m.name).join(", ") || "없음"})`);
+    return model;
+  });
+
+  // 모델을 동시에 올리면 메모리를 많이 쓰므로 하나씩 평가
+  const reports = [];
+  for (const model of models) {
+    reports.push(await evaluateModel(model, examples));
+  }
+  if (reports.some(report => report.error)) process.exitCode = 1;
+
+  if (options.json) {
+    printResult(JSON.stringify(reports, null, 2));
+    return;
+  }
+  reports.forEach(printReport);
+
+  const [baseline, ...others] = reports.filter(report => !report.error);
+  for (const report of others) {
+    const diff = Math.round((report.accuracy - baseline.accuracy) * 10000) / 10000;
+    console.log(`\n⚖️ ${report.model} vs ${baseline.model}: 정확도 ${diff >= 0 ? "+" : ""}${diff}, 매크로 F1 ${report.macro.f1} vs ${baseline.macro.f1}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ 평가 실패:", err.message);
+  process.exitCode = 1;
+});
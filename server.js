@@ -1,16 +1,45 @@
+require("dotenv").config();
 const express = require("express");
 const { MongoClient, ObjectId } = require("mongodb");
 const multer = require("multer");
 const cors = require("cors");
 const path = require("path");
 const fs = require("fs");
-const ExifParser = require("exif-parser");
 const bcrypt = require("bcrypt");
-const { spawn } = require("child_process");
 const printController = require("./controllers/print-controller");
+const accountController = require("./controllers/account-controller");
+const fileController = require("./controllers/file-controller");
+const shareController = require("./controllers/share-controller");
+const memberController = require("./controllers/member-controller");
+const commentController = require("./controllers/comment-controller");
+const categoryController = require("./controllers/category-controller");
+const auth = require("./middleware/auth");
+const { verifyGoogleIdToken } = require("./utils/google-id-token");
+const accountTokens = require("./utils/account-tokens");
+const { sendMail } = require("./utils/mailer");
+const rateLimiter = require("./middleware/rate-limit");
+const { initializeBlobStore, getBlobStore, readBlob } = require("./utils/blob-store");
+const { parseVariantName, storedBlobIds, tryGenerateVariants } = require("./utils/image-variants");
+const { extractImgInfo, localHour } = require("./utils/exif");
+const { reverseGeocode, summarizePlaces } = require("./utils/geocoder");
+const { structureTrip } = require("./utils/trip-structure");
+const classifierPool = require("./utils/classifier-pool");
+const modelRegistry = require("./utils/model-registry");
+const { TOP_K, toPrediction, failedPrediction, categoryScores, candidateCategories } = require("./utils/category-prediction");
+const { parseZoom, parseBbox, collectPhotoPoints, buildPhotoCollection, buildRouteCollection } = require("./utils/geo-map");
+const diaryRevisions = require("./utils/diary-revisions");
+const diaryAccess = require("./utils/diary-access");
+const { DIARY_HIDDEN_FIELDS, findAccessibleDiary, diaryRole, accessibleDiaryFilter } = diaryAccess;
+const { diffText } = require("./utils/text-diff");
+const { parseLimit, decodeCursor, cursorFilter, buildPage } = require("./utils/pagination");
+const { searchableFields, buildSearchTokens, parseQuery, scoreFields, buildSnippets } = require("./utils/search-index");
+const { Transform, pipeline } = require("stream");
+const { rateLimit } = rateLimiter;
+const { authenticate, authenticateFile } = auth;
 
 const app = express();
-require("dotenv").config();
+// Render 등 프록시 뒤에서 실제 클라이언트 IP를 req.ip로 받기 위함
+app.set("trust proxy", 1);
 
 app.use(cors({
   origin: [
@@ -28,8 +57,10 @@ app.use(express.static("public"));
 app.use("/uploads", express.static("uploads"));
 
 const uri = process.env.MONGODB_URI;
+// 메일 속 링크가 가리킬 프론트엔드 주소
+const APP_BASE_URL = process.env.APP_BASE_URL || "http://localhost:3000";
 const client = new MongoClient(uri);
-let imagesCollection, loginCollection, diariesCollection, printableDiaryCollection, diaryResultsCollection, testCollection;
+let imagesCollection, loginCollection, diariesCollection, printableDiaryCollection, diaryResultsCollection, testCollection, refreshTokenCollection, accountTokenCollection, rateLimitCollection, diaryRevisionCollection, diaryShareCollection, diaryInvitationCollection, diaryCommentCollection, diaryReactionCollection, categoryCorrectionCollection;
 
 async function connectDB() {
   try {
@@ -43,9 +74,106 @@ async function connectDB() {
     printableDiaryCollection = db.collection("printable_diaries");
     diaryResultsCollection = db.collection("AI diary results");
     testCollection = db.collection("test");
+    refreshTokenCollection = db.collection("refresh_tokens");
+    accountTokenCollection = db.collection("login_tokens");
+    rateLimitCollection = db.collection("rate_limits");
+    diaryRevisionCollection = db.collection("diary_revisions");
+    diaryShareCollection = db.collection("diary_shares");
+    diaryInvitationCollection = db.collection("diary_invitations");
+    diaryCommentCollection = db.collection("diary_comments");
+    diaryReactionCollection = db.collection("diary_reactions");
+    categoryCorrectionCollection = db.collection("category_corrections");
+
+    // 사진/인쇄 페이지 파일 저장소 (GridFS 또는 로컬 디스크)
+    initializeBlobStore(db);
 
     // 프린트 컨트롤러에 컬렉션 참조 전달
     printController.initializeCollections(diariesCollection, printableDiaryCollection);
+    // 파일 다운로드 컨트롤러에 컬렉션 참조 전달
+    fileController.initializeCollections(imagesCollection, printableDiaryCollection, diariesCollection);
+    // 인증 미들웨어에 컬렉션 참조 전달
+    auth.initializeCollections(loginCollection, refreshTokenCollection);
+    accountTokens.initializeCollections(accountTokenCollection);
+    rateLimiter.initializeCollections(rateLimitCollection);
+    diaryAccess.initializeCollections(diariesCollection);
+    diaryRevisions.initializeCollections(diariesCollection, diaryRevisionCollection);
+    // 멤버 / 초대 컨트롤러에 컬렉션 참조 전달
+    memberController.initializeCollections({
+      diaries: diariesCollection,
+      invitations: diaryInvitationCollection,
+      login: loginCollection,
+    });
+    // 댓글 / 반응 컨트롤러에 컬렉션 참조 전달
+    commentController.initializeCollections({
+      comments: diaryCommentCollection,
+      reactions: diaryReactionCollection,
+    });
+    // 카테고리 수정 / 학습 데이터 컨트롤러에 컬렉션 참조 전달
+    categoryController.initializeCollections({
+      diaries: diariesCollection,
+      corrections: categoryCorrectionCollection,
+    });
+    // 공유 링크 컨트롤러에 컬렉션 참조 전달
+    shareController.initializeCollections({
+      shares: diaryShareCollection,
+      diaries: diariesCollection,
+      images: imagesCollection,
+      printable: printableDiaryCollection,
+      aiResults: diaryResultsCollection,
+    });
+    // 계정 컨트롤러에 컬렉션 참조 전달 (탈퇴/내보내기는 모든 컬렉션을 다룸)
+    accountController.initializeCollections({
+      login: loginCollection,
+      images: imagesCollection,
+      diaries: diariesCollection,
+      aiResults: diaryResultsCollection,
+      printable: printableDiaryCollection,
+      test: testCollection,
+      refreshTokens: refreshTokenCollection,
+      accountTokens: accountTokenCollection,
+      revisions: diaryRevisionCollection,
+      shares: diaryShareCollection,
+      invitations: diaryInvitationCollection,
+      comments: diaryCommentCollection,
+      reactions: diaryReactionCollection,
+      corrections: categoryCorrectionCollection,
+    });
+
+    await loginCollection.createIndex({ googleSub: 1 }, { unique: true, sparse: true });
+    await loginCollection.createIndex({ email: 1 }, { collation: EMAIL_COLLATION, name: "email_case_insensitive" });
+    await refreshTokenCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await refreshTokenCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await accountTokenCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await accountTokenCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await rateLimitCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await diaryRevisionCollection.createIndex({ diaryId: 1, revisionNumber: 1 }, { unique: true });
+    await diaryShareCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await diaryShareCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await diaryShareCollection.createIndex({ userId: 1, createdAt: -1 });
+    await diaryInvitationCollection.createIndex({ codeHash: 1 }, { unique: true });
+    await diaryInvitationCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await diaryInvitationCollection.createIndex({ email: 1, createdAt: -1 });
+    await diaryInvitationCollection.createIndex({ diaryId: 1, createdAt: -1 });
+    await diaryCommentCollection.createIndex({ diaryId: 1, photoId: 1, parentId: 1, createdAt: 1, _id: 1 });
+    await diaryCommentCollection.createIndex({ parentId: 1, createdAt: 1, _id: 1 });
+    await diaryReactionCollection.createIndex({ diaryId: 1, photoId: 1, userId: 1, emoji: 1 }, { unique: true });
+    await categoryCorrectionCollection.createIndex({ diaryId: 1, createdAt: -1 });
+    await categoryCorrectionCollection.createIndex({ createdAt: 1 });
+    await categoryCorrectionCollection.createIndex({ userId: 1 });
+    await diariesCollection.createIndex({ purgeAt: 1 }, { sparse: true });
+    // 다이어리 목록 정렬 / 페이지네이션용
+    await diariesCollection.createIndex({ userId: 1, createdAt: -1, _id: -1 });
+    await diariesCollection.createIndex({ userId: 1, updatedAt: -1, _id: -1 });
+    await diariesCollection.createIndex({ userId: 1, category: 1 });
+    await diariesCollection.createIndex({ "members.userId": 1, createdAt: -1 });
+    await diariesCollection.createIndex({ userId: 1, searchTokens: 1 });
+    await imagesCollection.createIndex({ userId: 1, createdAt: -1 });
+    await printableDiaryCollection.createIndex({ diaryId: 1, createdAt: -1 });
+    await diaryResultsCollection.createIndex({ diaryId: 1, createdAt: -1 });
+
+    startTrashPurge();
+    classifierPool.startClassifierPool([classifierModels.active, classifierModels.candidate].filter(Boolean));
+    backfillSearchIndex().catch(err => console.error("❌ 검색 색인 생성 오류:", err));
 
     const uploadsDir = path.join(__dirname, "uploads");
     if (!fs.existsSync(uploadsDir)) {
@@ -137,187 +265,651 @@ const CATEGORY_LAYOUT_MAP = {
   "단체여행": [3, 0]     // 기본 / 가족
 };
 
+// 카테고리별 레이아웃 순위 가중치 (1순위 레이아웃 / 2순위 레이아웃)
+const LAYOUT_RANK_WEIGHTS = [1, 0.5];
+
+// 카테고리 목록([{ category, probability }]) → 추천 레이아웃 (점수 순)
+// 레이아웃 점수 = 그 레이아웃을 추천하는 카테고리들의 (카테고리 점수 × 순위 가중치) 합
+// 점수가 없는 카테고리(사용자가 직접 고른 것)는 1점
+function recommendLayouts(categories) {
+  const scored = new Map();
+  categories.forEach(({ category, probability }, order) => {
+    const categoryScore = probability ?? 1;
+    (CATEGORY_LAYOUT_MAP[category] || [1, 3]).forEach((layoutIndex, rank) => {
+      const entry = scored.get(layoutIndex) || { layoutIndex, score: 0, categories: [], best: null, order };
+      const contribution = categoryScore * (LAYOUT_RANK_WEIGHTS[rank] ?? 0);
+      entry.score += contribution;
+      entry.categories.push(category);
+      if (!entry.best || contribution > entry.best.contribution) entry.best = { category, contribution };
+      scored.set(layoutIndex, entry);
+    });
+  });
+
+  return [...scored.values()]
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ layoutIndex, score, categories: layoutCategories, best }) => ({
+      ...LAYOUT_STRUCTURES[layoutIndex],
+      layoutIndex,
+      categoryName: best.category,
+      categories: layoutCategories,
+      score: Math.round(score * 1000) / 1000,
+    }));
+}
+
 // 유틸리티 함수들
-async function registerLogin(email, password) {
-  const exist = await loginCollection.findOne({ email });
-  if (exist) return { success: false, msg: "이미 존재하는 사용자입니다." };
+// 이메일은 공백을 빼고 소문자로 저장 / 조회 (요청 제한 / 로그인 잠금과 같은 기준)
+// 예전에 대소문자 그대로 저장된 계정도 찾도록 대소문자를 구분하지 않는 collation으로 조회
+const { normalizeEmail } = rateLimiter;
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+
+function findUserByEmail(email, filter = {}) {
+  return loginCollection.findOne({ email: normalizeEmail(email), ...filter }, { collation: EMAIL_COLLATION });
+}
 
+// 이미 가입된 이메일이면 existingUser를 돌려줌 (응답 시간이 같도록 해시는 항상 먼저 계산)
+async function registerLogin(email, password) {
   const hashed = await bcrypt.hash(password, 10);
-  await loginCollection.insertOne({
+  const exist = await findUserByEmail(email);
+  if (exist) return { success: false, existingUser: exist };
+
+  const newUser = {
     email,
     password: hashed,
     username: email.split("@")[0],
     provider: "email",
+    emailVerified: false,
     createdAt: new Date(),
-  });
+  };
+  const insertResult = await loginCollection.insertOne(newUser);
 
-  return { success: true, msg: "회원가입 완료" };
+  return { success: true, msg: "회원가입 완료", user: { ...newUser, _id: insertResult.insertedId } };
 }
 
+// 없는 이메일로 로그인할 때도 bcrypt 비교 시간을 맞추기 위한 더미 해시
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("travely-dummy-password", 10);
+const LOGIN_FAILED_MSG = "이메일 또는 비밀번호가 올바르지 않습니다.";
+
 async function loginCheck(email, password) {
-  const user = await loginCollection.findOne({ email });
-  if (!user) return { success: false, msg: "존재하지 않는 사용자입니다." };
+  const user = await findUserByEmail(email);
 
-  const isMatch = await bcrypt.compare(password, user.password);
-  if (!isMatch) return { success: false, msg: "비밀번호가 올바르지 않습니다." };
+  // 없는 이메일 / 비밀번호 없는 Google 계정 / 틀린 비밀번호 모두 같은 메시지로 응답
+  const isMatch = await bcrypt.compare(String(password || ""), user?.password || DUMMY_PASSWORD_HASH);
+  if (!user || !user.password || !isMatch) return { success: false, msg: LOGIN_FAILED_MSG };
+
+  // emailVerified 필드가 없는 기존 계정은 인증된 것으로 취급
+  if (user.emailVerified === false) {
+    return { success: false, emailNotVerified: true, msg: "이메일 인증 후 로그인할 수 있습니다." };
+  }
 
   return {
     success: true,
     msg: "로그인 성공",
-    user: {
-      email: user.email,
-      username: user.username,
-      createdAt: user.createdAt,
-    },
+    user,
   };
 }
 
-async function extractImgInfo(imagePath) {
-  try {
-    const buffer = fs.readFileSync(imagePath);
-    const parser = ExifParser.create(buffer);
-    const result = parser.parse();
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 6) {
+    return "비밀번호는 6자 이상이어야 합니다.";
+  }
+  return null;
+}
 
-    const lat = result.tags.GPSLatitude;
-    const lon = result.tags.GPSLongitude;
-    const latRef = result.tags.GPSLatitudeRef;
-    const lonRef = result.tags.GPSLongitudeRef;
+async function sendVerificationMail(user) {
+  const token = await accountTokens.createAccountToken(user._id, "email_verification");
+  await sendMail({
+    to: user.email,
+    subject: "[Travely] 이메일 주소를 인증해주세요",
+    text: `아래 링크를 눌러 이메일 인증을 완료해주세요. (24시간 동안 유효)\n${APP_BASE_URL}/verify-email?token=${token}`,
+  });
+}
+
+// 가입된 이메일로 다시 회원가입을 시도하면 응답 대신 메일로 알림
+async function sendAlreadyRegisteredMail(user) {
+  await sendMail({
+    to: user.email,
+    subject: "[Travely] 이미 가입된 이메일입니다",
+    text: `이 이메일로 회원가입 요청이 있었지만 이미 가입된 계정이 있습니다.\n아래 링크에서 로그인해주세요. (비밀번호가 기억나지 않으면 로그인 화면에서 재설정할 수 있습니다)\n본인이 요청하지 않았다면 이 메일을 무시하세요.\n${APP_BASE_URL}/login`,
+  });
+}
 
-    let latitude = lat ? (latRef === "S" ? -lat : lat) : null;
-    let longitude = lon ? (lonRef === "W" ? -lon : lon) : null;
-    const date = result.tags.CreateDate ? new Date(result.tags.CreateDate * 1000).toISOString() : null;
+async function sendPasswordResetMail(user) {
+  const token = await accountTokens.createAccountToken(user._id, "password_reset");
+  await sendMail({
+    to: user.email,
+    subject: "[Travely] 비밀번호 재설정 안내",
+    text: `아래 링크에서 새 비밀번호를 설정해주세요. (1시간 동안 유효)\n본인이 요청하지 않았다면 이 메일을 무시하세요.\n${APP_BASE_URL}/reset-password?token=${token}`,
+  });
+}
 
-    return { success: true, latitude, longitude, date, hasGPS: latitude !== null && longitude !== null };
-  } catch (error) {
-    console.error("EXIF img error:", error);
-    return { success: false, msg: "다른 사진을 입력하세요." };
-  }
+// 응답에 내려줄 사용자 정보 (비밀번호 등 제외)
+function publicUser(user) {
+  return {
+    email: user.email,
+    username: user.username,
+    picture: user.picture,
+    emailVerified: user.emailVerified !== false,
+    createdAt: user.createdAt,
+  };
 }
 
-function getTimeSlot(date) {
-  const hour = date.getHours();
+// hour: 촬영지 현지 시각 기준 (서버 시간대와 무관)
+function getTimeSlot(hour) {
   if (hour >= 5 && hour < 12) return "morning";
   if (hour >= 12 && hour < 15) return "midday";
   if (hour >= 15 && hour < 18) return "afternoon";
   return "evening";
 }
 
+// 업로드한 이미지 문서 → 다이어리 photoSlot
+function buildPhotoSlot(img) {
+  return {
+    id: img._id.toString(),
+    // 함께 쓰는 다이어리에서 누가 올린 사진인지 표시
+    uploadedBy: img.userId,
+    // 사진 URL은 서명 토큰이 만료되므로 저장하지 않고 응답할 때마다 붙임
+    mimeType: img.mimeType,
+    keywords: img.keywords || [],
+    timeSlot: localHour(img.exifData) !== null ? getTimeSlot(localHour(img.exifData)) : "evening",
+    timestamp: img.exifData?.date ? new Date(img.exifData.date).getTime() : Date.now(),
+    ...(!img.exifData?.date && { undated: true }),
+    exifData: {
+      timestamp: img.exifData?.date ? new Date(img.exifData.date) : new Date(),
+      localDateTime: img.exifData?.localDateTime || null,
+      timezoneOffset: img.exifData?.timezoneOffset || null,
+      location: img.exifData?.latitude && img.exifData?.longitude ? {
+        latitude: img.exifData.latitude,
+        longitude: img.exifData.longitude,
+      } : undefined,
+    },
+    place: img.exifData?.latitude && img.exifData?.longitude
+      ? reverseGeocode(img.exifData.latitude, img.exifData.longitude)
+      : null,
+  };
+}
+
+// 호출자가 소유한 다이어리만 반환 (삭제 / 휴지통 / 공유처럼 소유자만 할 수 있는 작업)
+// 휴지통에 있는 다이어리는 trashed: true 로 찾을 때만 반환
+async function findOwnedDiary(diaryId, userId, { trashed = false } = {}) {
+  return findAccessibleDiary(diaryId, userId, "owner", { trashed });
+}
+
+// photoSlots에 사진 URL 붙이기 (base64를 응답에 싣지 않고 다운로드 엔드포인트 링크로 대체)
+// size: thumbnail | medium | original
+async function attachPhotoUrls(req, photoSlots, size = "original") {
+  if (!photoSlots || photoSlots.length === 0) return photoSlots || [];
+
+  const photoIds = photoSlots.map(slot => {
+    try {
+      return new ObjectId(slot.id);
+    } catch (e) {
+      return slot.id;
+    }
+  }).filter(id => id);
+
+  const images = await imagesCollection
+    .find({ _id: { $in: photoIds } }, { projection: { mimeType: 1 } })
+    .toArray();
+
+  return photoSlots.map(slot => {
+    const image = images.find(img => img._id.toString() === String(slot.id));
+    const imageUrl = image ? fileController.imageUrl(req, image._id, size) : null;
+    return {
+      ...slot,
+      photo: imageUrl,
+      imageUrl,
+      thumbnailUrl: image ? fileController.imageUrl(req, image._id, "thumbnail") : null,
+      mimeType: image?.mimeType,
+    };
+  });
+}
+
+// 파일 저장소에서 다이어리 관련 파일 삭제 (이미지 문서 / 인쇄 다이어리 문서 기준, 리사이즈 버전 포함)
+async function deleteStoredFiles({ images = [], printables = [] }) {
+  const blobIds = [
+    ...images.flatMap(storedBlobIds),
+    ...printables.flatMap(printable => (printable.pages || []).flatMap(storedBlobIds)),
+  ];
+
+  const store = getBlobStore();
+  for (const blobId of blobIds) {
+    await store.delete(blobId);
+  }
+  return blobIds.length;
+}
+
 // ============================================
-// 🔥 카테고리 분류 API (파이썬 연동)
+// 🗑️ 휴지통 (삭제한 다이어리 보관 후 자동 완전 삭제)
 // ============================================
 
-async function classifyWithLocalModel(allText) {
-  return new Promise((resolve, reject) => {
-    const scriptPath = path.join(__dirname, "category_predict.py");
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+function diaryIdFilter(diary) {
+  return { diaryId: { $in: [diary._id, diary._id.toString()] } };
+}
+
+function diaryPhotoIds(diary) {
+  return (diary.photoSlots || [])
+    .map(slot => String(slot.id))
+    .filter(id => id && !id.startsWith("temp"));
+}
+
+// 다이어리 사진 중 다른 다이어리에서도 쓰는 사진은 제외
+// 휴지통으로 옮길 때는 (휴지통에 있지 않은) 내 다른 다이어리만 확인
+// 완전 삭제할 때(anyDiary)는 복원될 수 있는 휴지통 다이어리와 멤버로 참여한 다른 사람 다이어리까지 확인
+async function imagesOnlyInDiary(diary, { anyDiary = false } = {}) {
+  const photoIds = diaryPhotoIds(diary);
+  if (photoIds.length === 0) return [];
+
+  const sharedIds = await diariesCollection.distinct("photoSlots.id", {
+    _id: { $ne: diary._id },
+    ...(!anyDiary && { userId: diary.userId, deletedAt: { $exists: false } }),
+    "photoSlots.id": { $in: photoIds },
+  });
+  return toObjectIds(photoIds.filter(id => !sharedIds.includes(id)));
+}
+
+// 완전 삭제하는 다이어리와 함께 휴지통에 들어갔지만 다른 다이어리에서 쓰는 사진은
+// 그 다이어리가 휴지통에 있으면 그 다이어리와 함께 복원되도록 넘기고, 아니면 휴지통 표시 해제
+async function handOverTrashedImages(diary) {
+  const kept = await imagesCollection
+    .find({ trashedWithDiary: diary._id }, { projection: { _id: 1, userId: 1 } })
+    .toArray();
+
+  for (const image of kept) {
+    const others = await diariesCollection
+      .find({ _id: { $ne: diary._id }, "photoSlots.id": image._id.toString() }, { projection: { _id: 1, userId: 1, deletedAt: 1 } })
+      .toArray();
+    // 복원할 때 사진 주인의 다이어리 기준으로 찾으므로 같은 주인의 휴지통 다이어리에만 넘김
+    const restoreWith = others.every(other => other.deletedAt)
+      ? others.find(other => other.userId === image.userId)
+      : null;
+    await imagesCollection.updateOne(
+      { _id: image._id },
+      restoreWith
+        ? { $set: { trashedWithDiary: restoreWith._id } }
+        : { $unset: { deletedAt: "", trashedWithDiary: "" } }
+    );
+  }
+}
+
+/**
+ * 다이어리와 관련 문서(사진, AI 결과, 인쇄본)를 휴지통 상태로 표시 / 해제
+ * trash: { deletedAt, purgeAt } 이면 휴지통으로, null 이면 복원
+ */
+async function setDiaryTrashState(diary, trash) {
+  const related = diaryIdFilter(diary);
+
+  if (trash) {
+    const imageIds = await imagesOnlyInDiary(diary);
+    await diariesCollection.updateOne({ _id: diary._id }, { $set: trash });
+    const images = await imagesCollection.updateMany(
+      { _id: { $in: imageIds }, userId: diary.userId, deletedAt: { $exists: false } },
+      { $set: { deletedAt: trash.deletedAt, trashedWithDiary: diary._id } }
+    );
+    await diaryResultsCollection.updateMany(related, { $set: { deletedAt: trash.deletedAt } });
+    await printableDiaryCollection.updateMany(related, { $set: { deletedAt: trash.deletedAt } });
+    return { images: images.modifiedCount };
+  }
+
+  await diariesCollection.updateOne({ _id: diary._id }, { $unset: { deletedAt: "", purgeAt: "" } });
+  const images = await imagesCollection.updateMany(
+    { trashedWithDiary: diary._id, userId: diary.userId },
+    { $unset: { deletedAt: "", trashedWithDiary: "" } }
+  );
+  await diaryResultsCollection.updateMany(related, { $unset: { deletedAt: "" } });
+  await printableDiaryCollection.updateMany(related, { $unset: { deletedAt: "" } });
+  return { images: images.modifiedCount };
+}
+
+/**
+ * 다이어리 완전 삭제 (저장소 파일 → 관련 문서 → 다이어리 순서)
+ * 다른 다이어리에서도 쓰는 사진은 남김
+ */
+async function purgeDiary(diary) {
+  const imageIds = await imagesOnlyInDiary(diary, { anyDiary: true });
+  const related = diaryIdFilter(diary);
+
+  // 문서보다 먼저 저장소의 사진 / 인쇄 페이지 파일 삭제
+  const images = await imagesCollection
+    .find({ _id: { $in: imageIds }, userId: diary.userId }, { projection: { blobId: 1, variants: 1 } })
+    .toArray();
+  const printables = await printableDiaryCollection
+    .find(related, { projection: { "pages.blobId": 1, "pages.variants": 1 } })
+    .toArray();
+  const storedFiles = await deleteStoredFiles({ images, printables });
+
+  const removed = {
+    storedFiles,
+    images: (await imagesCollection.deleteMany({ _id: { $in: imageIds }, userId: diary.userId })).deletedCount,
+    aiResults: (await diaryResultsCollection.deleteMany(related)).deletedCount,
+    printables: (await printableDiaryCollection.deleteMany(related)).deletedCount,
+    revisions: await diaryRevisions.deleteRevisions([diary._id]),
+    shares: await shareController.deleteShares([diary._id]),
+    invitations: await memberController.deleteInvitations([diary._id]),
+    ...await commentController.deleteDiaryDiscussion([diary._id]),
+    categoryCorrections: await categoryController.deleteCorrections([diary._id]),
+    diary: (await diariesCollection.deleteOne({ _id: diary._id })).deletedCount,
+  };
+
+  await handOverTrashedImages(diary);
+
+  // 멤버가 올린 사진은 지우지 않고 다른 다이어리에서 쓰지 않으면 사용 표시만 해제
+  await releaseUnusedImages((diary.photoSlots || [])
+    .filter(slot => slot.uploadedBy && slot.uploadedBy !== diary.userId)
+    .map(slot => String(slot.id)));
+
+  console.log(`🔥 다이어리 완전 삭제: ${diary._id}`, removed);
+  return removed;
+}
 
-    // Python 스크립트 파일 존재 확인
-    if (!fs.existsSync(scriptPath)) {
-      console.error("❌ category_predict.py 파일이 없습니다. 기본 카테고리로 설정합니다.");
-      return resolve("friend"); // 기본값: 우정여행
+// 보관 기간이 지난 휴지통 다이어리를 완전 삭제
+async function purgeExpiredTrash() {
+  const expired = diariesCollection.find({ purgeAt: { $lte: new Date() } });
+  let count = 0;
+  for await (const diary of expired) {
+    try {
+      await purgeDiary(diary);
+      count += 1;
+    } catch (err) {
+      console.error(`❌ 휴지통 자동 삭제 실패 (${diary._id}):`, err);
     }
+  }
+  if (count > 0) {
+    console.log(`🧹 휴지통 자동 정리: 다이어리 ${count}개 완전 삭제`);
+  }
+}
+
+function startTrashPurge() {
+  const run = () => purgeExpiredTrash().catch(err => console.error("❌ 휴지통 자동 정리 오류:", err));
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+  console.log(`🗑️ 휴지통 보관 기간: ${TRASH_RETENTION_DAYS}일 (${TRASH_PURGE_INTERVAL_MINUTES}분마다 정리)`);
+}
+
+// ============================================
+// 🔍 다이어리 검색 색인
+// ============================================
+// 제목 / 본문 / 최신 AI 글 / 사진 키워드 / 장소 이름을 토큰으로 만들어 다이어리에 searchTokens로 저장
+// (MongoDB text 색인은 한국어를 띄어쓰기로만 나누므로 조사가 붙은 단어를 찾지 못함)
 
-    const pythonProcess = spawn("python", [scriptPath, allText]);
+const SEARCH_BACKFILL_BATCH = 100;
 
-    let output = "";
-    let errorMsg = "";
+async function latestAiContent(diary) {
+  const aiResult = await diaryResultsCollection.findOne(
+    diaryIdFilter(diary),
+    { sort: { createdAt: -1 }, projection: { content: 1 } }
+  );
+  return aiResult?.content || "";
+}
 
-    pythonProcess.stdout.on("data", (data) => (output += data.toString()));
-    pythonProcess.stderr.on("data", (data) => (errorMsg += data.toString()));
+// 다이어리별 최신 AI 글을 한 번의 집계로 조회 → { diaryId 문자열: content }
+async function latestAiContents(diaries) {
+  if (diaries.length === 0) return new Map();
 
-    pythonProcess.on("close", (code) => {
-      if (code === 0 && output.trim()) {
-        resolve(output.trim());
-      } else {
-        console.error("❌ Python 실행 오류:", errorMsg || "출력 없음");
-        resolve("friend"); // 에러 시 기본값
-      }
-    });
+  const results = await diaryResultsCollection.aggregate([
+    { $match: { diaryId: { $in: diaries.flatMap(diary => [diary._id, diary._id.toString()]) } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: { $toString: "$diaryId" }, content: { $first: "$content" } } },
+  ]).toArray();
+
+  return new Map(results.map(result => [result._id, result.content || ""]));
+}
 
-    pythonProcess.on("error", (err) => {
-      console.error("❌ Python 프로세스 실행 실패:", err.message);
-      resolve("friend"); // Python이 설치되지 않은 경우 기본값
+// 검색 색인 갱신 (실패해도 저장 요청 자체는 성공으로 처리하고 로그만 남김)
+async function refreshSearchIndex(diaryId) {
+  try {
+    const diary = await diariesCollection.findOne(
+      { _id: diaryId },
+      { projection: { title: 1, content: 1, "photoSlots.keywords": 1, place: 1, places: 1 } }
+    );
+    if (!diary) return;
+
+    const fields = searchableFields(diary, await latestAiContent(diary));
+    await diariesCollection.updateOne(
+      { _id: diary._id },
+      { $set: { searchTokens: buildSearchTokens(fields), searchIndexedAt: new Date() } }
+    );
+  } catch (err) {
+    console.error(`❌ 검색 색인 갱신 실패 (${diaryId}):`, err);
+  }
+}
+
+// 색인이 없는 예전 다이어리를 서버 시작 시 조금씩 색인
+async function backfillSearchIndex() {
+  let count = 0;
+  while (true) {
+    const diaries = await diariesCollection
+      .find({ searchTokens: { $exists: false } }, { projection: { _id: 1 } })
+      .limit(SEARCH_BACKFILL_BATCH)
+      .toArray();
+    if (diaries.length === 0) break;
+
+    for (const diary of diaries) {
+      await refreshSearchIndex(diary._id);
+    }
+    count += diaries.length;
+
+    // 색인에 계속 실패하는 다이어리가 있으면 같은 문서를 무한히 다시 읽지 않도록 중단
+    const remaining = await diariesCollection.countDocuments({
+      _id: { $in: diaries.map(diary => diary._id) },
+      searchTokens: { $exists: false },
     });
-  });
+    if (remaining > 0) break;
+  }
+  if (count > 0) {
+    console.log(`🔍 검색 색인 생성: 다이어리 ${count}개`);
+  }
+}
+
+// ============================================
+// 🔥 카테고리 분류 API (파이썬 연동)
+// ============================================
+
+// 사용할 분류 모델 (utils/model-registry: 기본 모델 + A/B 테스트 모델)
+const classifierModels = modelRegistry.modelConfig();
+
+// 상주 워커 풀(utils/classifier-pool)의 한 모델로 분류
+// 반환: 분류 결과 (utils/category-prediction) — 실패해도 던지지 않고 status: "failed"로 반환
+async function classifyWithModel(allText, model) {
+  try {
+    const prediction = toPrediction(await classifierPool.classify(allText, { topK: TOP_K, model }));
+    console.log(`🤖 분류 결과: ${prediction.category} (${prediction.confidence}, ${prediction.status}, ${prediction.modelVersion})`);
+    return prediction;
+  } catch (err) {
+    console.error(`❌ 카테고리 분류 실패 (${model}, ${err.code}):`, err.message);
+    return { ...failedPrediction(err), model };
+  }
+}
+
+// key(다이어리 id)로 A/B 테스트 모델을 고르고, A/B 모델이 실패하면 기본 모델로 다시 시도
+// 결과에 어떤 모델(model / modelVersion)이 어느 쪽(abArm: control | candidate | null)으로 분류했는지 남김
+async function classifyWithLocalModel(allText, key) {
+  const { model, arm } = modelRegistry.chooseModel(classifierModels, key);
+  const prediction = await classifyWithModel(allText, model);
+  if (prediction.status === "failed" && arm === "candidate") {
+    return { ...(await classifyWithModel(allText, classifierModels.active.name)), abArm: "control", abFallback: true };
+  }
+  return { ...prediction, abArm: arm };
+}
+
+// 분류 결과 중 응답에 실을 부분
+function predictionSummary(prediction) {
+  const { status, category, confidence, categories, top, model, modelVersion, message } = prediction;
+  return status === "failed" ? { status, error: message } : { status, category, confidence, categories, top, model, modelVersion };
+}
+
+function classifierModelConfig() {
+  const { active, candidate, ratio } = classifierModels;
+  return { activeModel: active.name, abModel: candidate?.name || null, abRatio: ratio };
 }
 
+// 분류 워커 상태 (로그인 없이 볼 수 있으므로 전체 상태만)
+app.get("/api/health/classifier", (req, res) => {
+  const { status } = classifierPool.classifierHealth();
+  res.status(status === "down" ? 503 : 200).json({ success: status !== "down", status });
+});
+
+// 관리자: 분류 워커 상세 상태 (모델별 로드 여부, 워커별 pid / 대기열 / 재시작 횟수 / 마지막 오류, A/B 설정)
+app.get("/api/admin/classifier/health", authenticate, auth.requireAdmin, (req, res) => {
+  const health = classifierPool.classifierHealth();
+  res.json({ success: true, ...classifierModelConfig(), ...health });
+});
+
+// 관리자: 설치된 분류 모델 목록과 지금 설정
+app.get("/api/admin/classifier/models", authenticate, auth.requireAdmin, (req, res) => {
+  const running = new Map(classifierPool.classifierHealth().models.map(model => [model.name, model]));
+  res.json({
+    success: true,
+    ...classifierModelConfig(),
+    data: modelRegistry.listModels().map(({ path: modelPath, ...model }) => ({
+      ...model,
+      running: running.has(model.name),
+      status: running.get(model.name)?.status || null,
+      modelVersion: running.get(model.name)?.modelVersion || null,
+    })),
+  });
+});
+
 // ==========================================
 // 인증 관련 API
 // ==========================================
 
-app.post("/api/register", async (req, res) => {
-  console.log("📥 회원가입 요청:", req.body);
-  const { email, password } = req.body;
+app.post("/api/register", rateLimit("register"), async (req, res) => {
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
+  console.log("📥 회원가입 요청:", email);
 
   if (!email || !password) {
     return res.status(400).json({ success: false, error: "이메일과 비밀번호를 입력해주세요." });
   }
 
-  if (password.length < 6) {
-    return res.status(400).json({ success: false, error: "비밀번호는 6자 이상이어야 합니다." });
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ success: false, error: passwordError });
   }
 
   const result = await registerLogin(email, password);
-  
+
+  // 가입된 이메일인지 알 수 없도록 새 계정 / 기존 계정 모두 같은 응답 (안내는 메일로)
   if (result.success) {
     console.log("✅ 회원가입 성공:", email);
-    res.json({
-      success: true,
-      user: { email: email, username: email.split("@")[0], createdAt: new Date() },
-      message: "회원가입 완료"
-    });
+    await sendVerificationMail(result.user);
+  } else if (result.existingUser.emailVerified === false) {
+    await sendVerificationMail(result.existingUser);
   } else {
-    res.status(400).json({ success: false, error: result.msg });
+    await sendAlreadyRegisteredMail(result.existingUser);
   }
+
+  // 이메일 인증 전에는 토큰을 발급하지 않음
+  res.json({
+    success: true,
+    message: "회원가입 요청이 접수되었습니다. 인증 메일을 확인해주세요."
+  });
 });
 
-app.post("/api/login", async (req, res) => {
-  console.log("📥 로그인 요청:", req.body);
-  const { email, password } = req.body;
+const loginAccountKey = (req) => normalizeEmail(req.body?.email);
+
+app.post("/api/login", rateLimit("login", { accountKey: loginAccountKey }), async (req, res) => {
+  const { password } = req.body;
+  const email = normalizeEmail(req.body.email);
+  console.log("📥 로그인 요청:", email);
+
+  if (!email || !password) {
+    return res.status(400).json({ success: false, error: "이메일과 비밀번호를 입력해주세요." });
+  }
+
+  // 연속 실패로 잠긴 계정은 비밀번호 확인 없이 거부
+  const lockRemaining = await rateLimiter.getLoginLockRemaining(email, req.ip);
+  if (lockRemaining > 0) {
+    return rateLimiter.sendTooManyRequests(res, lockRemaining);
+  }
+
   const result = await loginCheck(email, password);
-  
+
   if (result.success) {
-    res.json({ success: true, user: result.user, message: result.msg });
+    await rateLimiter.resetLoginFailures(email, req.ip);
+    const tokens = await auth.issueTokens(result.user);
+    res.json({ success: true, user: publicUser(result.user), ...tokens, message: result.msg });
+  } else if (result.emailNotVerified) {
+    res.status(403).json({ success: false, emailNotVerified: true, error: result.msg });
   } else {
+    await rateLimiter.recordLoginFailure(email, req.ip);
     res.status(401).json({ success: false, error: result.msg });
   }
 });
 
 app.post("/api/google-login", async (req, res) => {
-  console.log("📥 Google 로그인 요청:", req.body);
-  const { email, name, picture } = req.body;
+  console.log("📥 Google 로그인 요청");
+  const { idToken } = req.body;
 
-  if (!email) {
-    return res.status(400).json({ success: false, msg: "이메일이 필요합니다." });
+  if (!idToken) {
+    return res.status(400).json({ success: false, msg: "Google ID 토큰이 필요합니다." });
+  }
+
+  let payload;
+  try {
+    payload = await verifyGoogleIdToken(idToken);
+  } catch (error) {
+    console.error("❌ Google ID 토큰 검증 실패:", error.message);
+    return res.status(401).json({ success: false, msg: "유효하지 않은 Google 인증 정보입니다." });
   }
 
+  const { sub: googleSub, email, name, picture } = payload;
+
   try {
-    let user = await loginCollection.findOne({ email });
+    // Google 계정은 이메일이 아닌 sub로 식별
+    let user = await loginCollection.findOne({ googleSub });
 
     if (!user) {
-      const newUser = {
-        email,
-        username: name || email.split("@")[0],
-        picture: picture || null,
-        provider: "google",
-        createdAt: new Date(),
-      };
-      
-      const insertResult = await loginCollection.insertOne(newUser);
-      
-      if (!insertResult.insertedId) {
-        return res.status(500).json({ success: false, msg: "사용자 생성에 실패했습니다." });
+      const sameEmailUser = email ? await findUserByEmail(email) : null;
+
+      if (sameEmailUser && (sameEmailUser.provider === "email" || !payload.email_verified)) {
+        // 이메일 가입 계정과는 자동으로 합치지 않음 → 로그인 후 직접 연결하도록 안내
+        console.log("⚠️ 이메일 가입 계정과 Google 계정 연결 필요:", email);
+        return res.status(409).json({
+          success: false,
+          linkRequired: true,
+          msg: "이미 이메일로 가입된 계정입니다. 이메일로 로그인한 뒤 Google 계정을 연결해주세요.",
+        });
       }
 
-      user = { ...newUser, _id: insertResult.insertedId };
-      console.log("✅ 새 Google 사용자 생성:", email);
+      if (sameEmailUser) {
+        // sub 저장 이전에 만들어진 Google 계정 → 검증된 sub로 연결
+        await loginCollection.updateOne({ _id: sameEmailUser._id }, { $set: { googleSub } });
+        user = { ...sameEmailUser, googleSub };
+        console.log("✅ 기존 Google 사용자 sub 연결:", email);
+      } else {
+        const newUser = {
+          email: email ? normalizeEmail(email) : email,
+          username: name || (email || "").split("@")[0],
+          picture: picture || null,
+          provider: "google",
+          googleSub,
+          createdAt: new Date(),
+        };
+
+        const insertResult = await loginCollection.insertOne(newUser);
+
+        if (!insertResult.insertedId) {
+          return res.status(500).json({ success: false, msg: "사용자 생성에 실패했습니다." });
+        }
+
+        user = { ...newUser, _id: insertResult.insertedId };
+        console.log("✅ 새 Google 사용자 생성:", email);
+      }
     } else {
-      console.log("✅ 기존 Google 사용자 로그인:", email);
+      console.log("✅ 기존 Google 사용자 로그인:", user.email);
     }
 
+    const tokens = await auth.issueTokens(user);
+
     res.json({
       success: true,
       msg: "Google 로그인 성공",
-      user: { email: user.email, username: user.username, picture: user.picture, createdAt: user.createdAt },
+      user: publicUser(user),
+      ...tokens,
     });
   } catch (error) {
     console.error("❌ Google 로그인 에러:", error);
@@ -325,164 +917,644 @@ app.post("/api/google-login", async (req, res) => {
   }
 });
 
-// ==========================================
-// 이미지 업로드 API
-// ==========================================
+// 로그인한 계정에 Google 계정 연결 (이메일 가입자가 Google 로그인을 쓰려는 경우)
+app.post("/api/auth/link-google", authenticate, async (req, res) => {
+  const { idToken } = req.body;
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, "uploads/"),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
-});
-const upload = multer({ storage });
+  if (!idToken) {
+    return res.status(400).json({ success: false, error: "Google ID 토큰이 필요합니다." });
+  }
 
-app.post("/api/upload", upload.single("image"), async (req, res) => {
+  let payload;
   try {
-    const { userId, keywords, tempSlotId } = req.body
-    const imageBuffer = fs.readFileSync(req.file.path)
-    const base64Image = imageBuffer.toString('base64')
-    const mimeType = req.file.mimetype
-    const exifData = await extractImgInfo(req.file.path)
+    payload = await verifyGoogleIdToken(idToken);
+  } catch (error) {
+    console.error("❌ Google ID 토큰 검증 실패:", error.message);
+    return res.status(401).json({ success: false, error: "유효하지 않은 Google 인증 정보입니다." });
+  }
 
-    const result = await imagesCollection.insertOne({
-      userId,
-      imageData: base64Image,
-      mimeType: mimeType,
-      keywords: keywords ? JSON.parse(keywords) : [],
-      tempSlotId: tempSlotId || Date.now().toString(),
-      exifData,
-      usedInDiary: false,
-      createdAt: new Date(),
-    })
+  try {
+    const linkedUser = await loginCollection.findOne({ googleSub: payload.sub });
+    if (linkedUser && linkedUser._id.toString() !== req.user.id) {
+      return res.status(409).json({ success: false, error: "이미 다른 계정에 연결된 Google 계정입니다." });
+    }
 
-    fs.unlinkSync(req.file.path)
+    await loginCollection.updateOne(
+      { _id: new ObjectId(req.user.id) },
+      { $set: { googleSub: payload.sub, googleLinkedAt: new Date() } }
+    );
 
-    res.json({ 
-      message: "✅ 업로드 성공", 
-      imageId: result.insertedId,
-      imageData: base64Image,
-      mimeType: mimeType,
-      exifData,
-      tempSlotId: tempSlotId || Date.now().toString()
-    })
-  } catch (err) {
-    console.error("❌ 업로드 오류:", err)
-    res.status(500).json({ error: err.message })
+    console.log("✅ Google 계정 연결 완료:", req.user.email);
+    res.json({ success: true, message: "Google 계정이 연결되었습니다." });
+  } catch (error) {
+    console.error("❌ Google 계정 연결 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
-})
-
-// ==========================================
-// 다이어리 관련 API (순서 중요!)
-// ==========================================
+});
 
-// ✅ 1. POST 라우트들
-app.post("/api/diaries", async (req, res) => {
-  console.log("📥 다이어리 생성 요청:", req.body);
-  const { userId, title, date, photoSlotIds } = req.body;
+// 리프레시 토큰으로 액세스 토큰 재발급
+app.post("/api/auth/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
 
-  if (!userId || !title) {
-    return res.status(400).json({ error: "userId와 title이 필요합니다." });
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: "refreshToken이 필요합니다." });
   }
 
   try {
-    let photoSlots = [];
-    
-    if (photoSlotIds && photoSlotIds.length > 0) {
-      const { ObjectId } = require("mongodb");
-      const imageIds = photoSlotIds
-        .filter(id => id && id !== 'temp')
-        .map(id => {
-          try {
-            return new ObjectId(id);
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(id => id !== null);
+    const result = await auth.rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({ success: false, error: result.msg });
+    }
 
-      if (imageIds.length > 0) {
-        const images = await imagesCollection.find({ _id: { $in: imageIds } }).toArray();
-
-        photoSlots = images.map((img) => ({
-          id: img._id.toString(),
-          photo: `http://localhost:3001${img.imageUrl}`,
-          // imageData는 images 컬렉션에 저장되어 있으므로 다이어리에는 포함하지 않음 (16MB 제한 회피)
-          mimeType: img.mimeType,
-          keywords: img.keywords || [],
-          timeSlot: img.exifData?.date ? getTimeSlot(new Date(img.exifData.date)) : "evening",
-          timestamp: img.exifData?.date ? new Date(img.exifData.date).getTime() : Date.now(),
-          exifData: {
-            timestamp: img.exifData?.date ? new Date(img.exifData.date) : new Date(),
-            location: img.exifData?.latitude && img.exifData?.longitude ? {
-              latitude: img.exifData.latitude,
-              longitude: img.exifData.longitude,
-            } : undefined,
-          }
-        }));
+    res.json({ success: true, user: publicUser(result.user), ...result.tokens });
+  } catch (error) {
+    console.error("❌ 토큰 재발급 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        await imagesCollection.updateMany(
-          { _id: { $in: imageIds } },
-          { $set: { usedInDiary: true } }
-        );
-      }
+// 로그아웃 (리프레시 토큰 폐기)
+app.post("/api/auth/logout", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    if (refreshToken) {
+      await auth.revokeRefreshToken(refreshToken);
     }
+    res.json({ success: true, message: "로그아웃 완료" });
+  } catch (error) {
+    console.error("❌ 로그아웃 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const newDiary = {
-      userId,
-      title,
-      date: date || new Date().toLocaleDateString(),
-      photoSlots,
-      createdAt: new Date(),
-    };
+// 이메일 인증
+app.post("/api/auth/verify-email", async (req, res) => {
+  const { token } = req.body;
 
-    const result = await diariesCollection.insertOne(newDiary);
+  if (!token) {
+    return res.status(400).json({ success: false, error: "token이 필요합니다." });
+  }
 
-    // 응답할 때 imageData 추가 (검토 페이지에서 사진을 보기 위함)
-    const diaryWithImages = { ...newDiary, _id: result.insertedId };
-    if (diaryWithImages.photoSlots && diaryWithImages.photoSlots.length > 0) {
-      const photoIds = diaryWithImages.photoSlots.map(slot => {
-        try {
-          return new (require("mongodb").ObjectId)(slot.id);
-        } catch (e) {
-          return slot.id;
-        }
-      }).filter(id => id);
-
-      if (photoIds.length > 0) {
-        const images = await imagesCollection.find({ _id: { $in: photoIds } }).toArray();
-        diaryWithImages.photoSlots = diaryWithImages.photoSlots.map(slot => {
-          const image = images.find(img => img._id.toString() === slot.id.toString());
-          return {
-            ...slot,
-            imageData: image?.imageData,
-            mimeType: image?.mimeType,
-          };
-        });
-      }
+  try {
+    const userObjectId = await accountTokens.consumeAccountToken(token, "email_verification");
+    if (!userObjectId) {
+      return res.status(400).json({ success: false, error: "유효하지 않거나 만료된 인증 링크입니다." });
     }
 
-    res.json({
-      success: true,
-      message: "✅ 다이어리 생성 완료",
-      diary: diaryWithImages,
-    });
-  } catch (err) {
-    console.error("❌ 다이어리 생성 오류:", err);
-    res.status(500).json({ error: err.message });
+    await loginCollection.updateOne(
+      { _id: userObjectId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log("✅ 이메일 인증 완료:", userObjectId.toString());
+    res.json({ success: true, message: "이메일 인증이 완료되었습니다." });
+  } catch (error) {
+    console.error("❌ 이메일 인증 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/save-ai-diary", async (req, res) => {
-  console.log("📥 AI 다이어리 저장 요청:", req.body);
-  const { diaryId, userId, content, photoSlots } = req.body;
+// 인증 메일 재발송 (가입 여부를 노출하지 않도록 항상 같은 응답)
+app.post("/api/auth/verify-email/resend", rateLimit("passwordReset", { accountKey: loginAccountKey }), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ success: false, error: "이메일을 입력해주세요." });
+  }
 
   try {
-    const { ObjectId } = require("mongodb");
-    const aiDiaryCollection = client.db("diary").collection("AI diary results");
+    const user = await findUserByEmail(email, { provider: "email" });
+    if (user && user.emailVerified === false) {
+      await sendVerificationMail(user);
+    }
+
+    res.json({ success: true, message: "인증이 필요한 계정이라면 인증 메일이 발송됩니다." });
+  } catch (error) {
+    console.error("❌ 인증 메일 재발송 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 비밀번호 재설정 요청 (가입 여부를 노출하지 않도록 항상 같은 응답)
+app.post("/api/auth/password-reset/request", rateLimit("passwordReset", { accountKey: loginAccountKey }), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ success: false, error: "이메일을 입력해주세요." });
+  }
+
+  try {
+    const user = await findUserByEmail(email, { provider: "email" });
+    if (user) {
+      await sendPasswordResetMail(user);
+      console.log("📨 비밀번호 재설정 메일 발송:", email);
+    }
+
+    res.json({ success: true, message: "가입된 이메일이라면 재설정 메일이 발송됩니다." });
+  } catch (error) {
+    console.error("❌ 비밀번호 재설정 요청 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 비밀번호 재설정 확정
+app.post("/api/auth/password-reset/confirm", async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ success: false, error: "token이 필요합니다." });
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ success: false, error: passwordError });
+  }
+
+  try {
+    const userObjectId = await accountTokens.consumeAccountToken(token, "password_reset");
+    if (!userObjectId) {
+      return res.status(400).json({ success: false, error: "유효하지 않거나 만료된 재설정 링크입니다." });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    // 메일 링크로 재설정했다는 것은 메일 수신이 확인된 것이므로 인증도 완료 처리
+    await loginCollection.updateOne(
+      { _id: userObjectId },
+      { $set: { password: hashed, emailVerified: true, passwordChangedAt: new Date() } }
+    );
+    await auth.revokeAllRefreshTokens(userObjectId);
+
+    console.log("✅ 비밀번호 재설정 완료:", userObjectId.toString());
+    res.json({ success: true, message: "비밀번호가 재설정되었습니다. 다시 로그인해주세요." });
+  } catch (error) {
+    console.error("❌ 비밀번호 재설정 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 비밀번호 변경 (현재 비밀번호 확인 필요)
+app.post("/api/auth/change-password", authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword) {
+    return res.status(400).json({ success: false, error: "현재 비밀번호를 입력해주세요." });
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ success: false, error: passwordError });
+  }
+
+  try {
+    const userObjectId = new ObjectId(req.user.id);
+    const user = await loginCollection.findOne({ _id: userObjectId });
+
+    if (!user || !user.password) {
+      return res.status(400).json({ success: false, error: "비밀번호로 로그인하는 계정이 아닙니다." });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ success: false, error: "현재 비밀번호가 올바르지 않습니다." });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await loginCollection.updateOne(
+      { _id: userObjectId },
+      { $set: { password: hashed, passwordChangedAt: new Date() } }
+    );
+    // 다른 기기의 세션은 모두 종료 (현재 액세스 토큰은 만료 시까지 유효)
+    await auth.revokeAllRefreshTokens(userObjectId);
+    const tokens = await auth.issueTokens(user);
+
+    console.log("✅ 비밀번호 변경 완료:", user.email);
+    res.json({ success: true, message: "비밀번호가 변경되었습니다.", ...tokens });
+  } catch (error) {
+    console.error("❌ 비밀번호 변경 오류:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 현재 로그인한 사용자 정보
+app.get("/api/auth/me", authenticate, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// ==========================================
+// 계정 관리 API (데이터 내보내기 / 탈퇴)
+// ==========================================
+
+// 내 데이터 전체 ZIP 다운로드
+app.get("/api/account/export", authenticate, accountController.exportMyData);
+
+// 회원 탈퇴 (모든 데이터 삭제)
+app.delete("/api/account", authenticate, accountController.deleteMyAccount);
+
+// ==========================================
+// 이미지 업로드 API
+// ==========================================
+
+// EXIF는 파일 앞부분(APP1 세그먼트, 최대 64KB)에 있으므로 앞부분만 메모리에 남김
+const EXIF_HEAD_BYTES = 256 * 1024;
+
+// 업로드 제한 (환경변수로 설정 가능)
+const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 20) * 1024 * 1024;
+const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES) || 50;
+const MAX_PRINTABLE_PAGES = Number(process.env.MAX_PRINTABLE_PAGES) || 100;
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif", "image/heic", "image/heif"];
+
+// 업로드 파일을 디스크/메모리에 모으지 않고 바로 파일 저장소로 스트리밍하는 multer storage
+// 크기 제한을 넘은 파일은 요청 전체를 끊지 않고 tooLarge 표시만 남김 (배치 업로드에서 파일별로 보고하기 위함)
+const blobStorage = {
+  _handleFile(req, file, cb) {
+    const head = [];
+    let headSize = 0;
+    let received = 0;
+    let tooLarge = false;
+    const tap = new Transform({
+      transform(chunk, encoding, done) {
+        received += chunk.length;
+        if (received > MAX_UPLOAD_BYTES) {
+          // 나머지는 버리면서 끝까지 읽어야 다음 파일로 넘어감
+          tooLarge = true;
+          return done();
+        }
+        if (headSize < EXIF_HEAD_BYTES) {
+          head.push(chunk);
+          headSize += chunk.length;
+        }
+        done(null, chunk);
+      }
+    });
+    pipeline(file.stream, tap, () => {});
+
+    getBlobStore()
+      .put(tap, {
+        contentType: file.mimetype,
+        metadata: { userId: req.user.userId, fileName: file.originalname, kind: "image" },
+      })
+      .then((blob) => cb(null, {
+        blobId: blob.id,
+        size: tooLarge ? received : blob.size,
+        etag: blob.etag,
+        tooLarge,
+        head: Buffer.concat(head),
+      }))
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    getBlobStore().delete(file.blobId).then(() => cb(null), cb);
+  },
+};
+const upload = multer({ storage: blobStorage });
+const printableUpload = multer({ storage: blobStorage, limits: { files: MAX_PRINTABLE_PAGES } });
+
+// 배치 업로드용: 허용하지 않는 형식은 저장하지 않고 파일별 거부 사유로 기록
+const batchUpload = multer({
+  storage: blobStorage,
+  limits: { files: MAX_BATCH_FILES },
+  fileFilter: (req, file, cb) => {
+    req.uploadCount = (req.uploadCount || 0) + 1;
+    file.uploadIndex = req.uploadCount - 1;
+
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      req.rejectedUploads = req.rejectedUploads || [];
+      req.rejectedUploads.push({
+        index: file.uploadIndex,
+        originalName: file.originalname,
+        status: "rejected",
+        reason: "unsupported_type",
+        message: `지원하지 않는 파일 형식입니다. (${file.mimetype})`,
+      });
+      return cb(null, false);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * 저장소에 올라간 업로드 파일 하나를 images 컬렉션에 등록
+ * EXIF를 읽지 못한 경우 exifData는 null로 두고 exifError에 사유를 남김
+ */
+async function saveUploadedImage(userId, file, { keywords = [], tempSlotId } = {}) {
+  let exifResult = await extractImgInfo(file.head);
+  // HEIC/PNG는 EXIF가 파일 뒤쪽에 있을 수 있으므로 앞부분으로 못 읽으면 전체를 읽어서 재시도
+  if (!exifResult.success && file.size > file.head.length) {
+    exifResult = await extractImgInfo(await readBlob(file.blobId));
+  }
+  const exifData = exifResult.success ? exifResult : null;
+  // 썸네일/중간 크기 버전 (EXIF 방향 적용)
+  const variants = await tryGenerateVariants({ blobId: file.blobId }, { userId, kind: "image" });
+
+  const image = {
+    userId,
+    blobId: file.blobId,
+    size: file.size,
+    etag: file.etag,
+    ...(variants && { variants }),
+    mimeType: file.mimetype,
+    originalName: file.originalname,
+    keywords,
+    tempSlotId: tempSlotId || Date.now().toString(),
+    exifData,
+    ...(!exifResult.success && { exifError: exifResult.msg }),
+    usedInDiary: false,
+    createdAt: new Date(),
+  };
+  let result;
+  try {
+    result = await imagesCollection.insertOne(image);
+  } catch (err) {
+    // 원본은 호출한 쪽에서 정리하므로 여기서 만든 리사이즈 버전만 삭제
+    await deleteStoredFiles({ images: [{ variants }] }).catch(() => {});
+    throw err;
+  }
+
+  return { ...image, _id: result.insertedId, exifResult };
+}
+
+function parseJsonField(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+app.post("/api/upload", authenticate, rateLimit("upload", { accountKey: (req) => req.user.userId }), upload.single("image"), async (req, res) => {
+  // 이미지 문서가 저장되기 전에 실패하면 저장소에 올라간 파일 정리
+  let image = null
+  try {
+    const { tempSlotId, diaryId } = req.body
+    const { userId } = req.user
+
+    if (!req.file) {
+      return res.status(400).json({ error: "image 파일이 필요합니다." })
+    }
+
+    const keywords = parseJsonField(req.body.keywords, null)
+    if (req.body.keywords && !Array.isArray(keywords)) {
+      await deleteStoredFiles({ images: [req.file] })
+      return res.status(400).json({ error: "keywords는 JSON 배열이어야 합니다." })
+    }
+
+    if (req.file.tooLarge) {
+      await deleteStoredFiles({ images: [req.file] })
+      return res.status(413).json({ error: `파일이 너무 큽니다. (최대 ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)` })
+    }
+
+    // diaryId를 보내면 업로드하면서 바로 그 다이어리에 추가 (소유자 / 편집 멤버만)
+    const diary = diaryId ? await findAccessibleDiary(diaryId, userId, "editor") : null
+    if (diaryId && !diary) {
+      await deleteStoredFiles({ images: [req.file] })
+      return res.status(404).json({ error: "다이어리를 찾을 수 없습니다." })
+    }
+
+    image = await saveUploadedImage(userId, req.file, {
+      keywords: keywords || [],
+      tempSlotId,
+    })
+    if (diary) {
+      await addPhotosToDiary(diary, [image])
+    }
+
+    res.json({ 
+      message: "✅ 업로드 성공", 
+      imageId: image._id,
+      imageUrl: fileController.imageUrl(req, image._id),
+      thumbnailUrl: fileController.imageUrl(req, image._id, "thumbnail"),
+      mediumUrl: fileController.imageUrl(req, image._id, "medium"),
+      mimeType: image.mimeType,
+      exifData: image.exifResult,
+      tempSlotId: image.tempSlotId,
+      ...(diary && { diaryId: diary._id })
+    })
+  } catch (err) {
+    console.error("❌ 업로드 오류:", err)
+    if (req.file && !image) {
+      await deleteStoredFiles({ images: [req.file] }).catch(() => {})
+    }
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// 여러 장 한 번에 업로드 (multipart "images" 필드 여러 개)
+// 파일별로 성공 / 거부 사유(unsupported_type, too_large, duplicate)를 돌려줌
+app.post("/api/upload/batch", authenticate, rateLimit("batchUpload", { accountKey: (req) => req.user.userId }), (req, res, next) => {
+  batchUpload.array("images")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({ success: false, error: `한 번에 최대 ${MAX_BATCH_FILES}장까지 업로드할 수 있습니다.` });
+    }
+    next(err);
+  });
+}, async (req, res) => {
+  const { userId } = req.user;
+  const files = req.files || [];
+  console.log(`📥 배치 업로드 요청: ${files.length}장 (거부 ${(req.rejectedUploads || []).length}장)`);
+
+  // keywords는 모든 사진에 공통, tempSlotIds는 파일 순서대로 대응
+  const keywords = parseJsonField(req.body.keywords, []);
+  const tempSlotIds = parseJsonField(req.body.tempSlotIds, []);
+
+  // diaryId를 보내면 올라간 사진을 모두 그 다이어리에 추가 (소유자 / 편집 멤버만)
+  const diary = req.body.diaryId ? await findAccessibleDiary(req.body.diaryId, userId, "editor") : null;
+  if (req.body.diaryId && !diary) {
+    await deleteStoredFiles({ images: files });
+    return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+  }
+  const savedImages = [];
+
+  const results = [...(req.rejectedUploads || [])];
+  const seenEtags = new Map();
+
+  for (const file of files) {
+    const base = { index: file.uploadIndex, originalName: file.originalname };
+
+    try {
+      if (file.tooLarge) {
+        await deleteStoredFiles({ images: [file] });
+        results.push({
+          ...base,
+          status: "rejected",
+          reason: "too_large",
+          message: `파일이 너무 큽니다. (최대 ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)`,
+        });
+        continue;
+      }
+
+      // 같은 배치 안이나 이전에 올린 사진과 내용이 같으면 중복
+      const duplicateOf = seenEtags.get(file.etag)
+        || (await imagesCollection.findOne({ userId, etag: file.etag }, { projection: { _id: 1 } }))?._id;
+      if (duplicateOf) {
+        await deleteStoredFiles({ images: [file] });
+        results.push({
+          ...base,
+          status: "rejected",
+          reason: "duplicate",
+          message: "이미 업로드한 사진입니다.",
+          duplicateOf,
+        });
+        continue;
+      }
+
+      const image = await saveUploadedImage(userId, file, {
+        keywords,
+        tempSlotId: tempSlotIds[file.uploadIndex],
+      });
+      seenEtags.set(file.etag, image._id);
+      savedImages.push(image);
+
+      results.push({
+        ...base,
+        status: "uploaded",
+        imageId: image._id,
+        imageUrl: fileController.imageUrl(req, image._id),
+        thumbnailUrl: fileController.imageUrl(req, image._id, "thumbnail"),
+        mimeType: image.mimeType,
+        tempSlotId: image.tempSlotId,
+        exifData: image.exifData,
+        ...(image.exifError && { exifError: image.exifError }),
+      });
+    } catch (err) {
+      console.error(`❌ 배치 업로드 파일 처리 오류 (${file.originalname}):`, err);
+      await deleteStoredFiles({ images: [file] }).catch(() => {});
+      results.push({ ...base, status: "rejected", reason: "server_error", message: err.message });
+    }
+  }
+
+  results.sort((a, b) => a.index - b.index);
+  const uploaded = results.filter(result => result.status === "uploaded").length;
+  console.log(`✅ 배치 업로드 완료: 성공 ${uploaded}장 / 거부 ${results.length - uploaded}장`);
+
+  let addedToDiary = 0;
+  if (diary && savedImages.length > 0) {
+    try {
+      ({ added: addedToDiary } = await addPhotosToDiary(diary, savedImages));
+    } catch (err) {
+      console.error(`❌ 배치 업로드 사진 다이어리 추가 오류 (${diary._id}):`, err);
+      return res.status(500).json({ success: false, error: err.message, results });
+    }
+  }
+
+  res.json({
+    success: true,
+    total: results.length,
+    uploaded,
+    rejected: results.length - uploaded,
+    ...(diary && { diaryId: diary._id, addedToDiary }),
+    results,
+  });
+});
+
+// 업로드한 사진 다운로드 (Range / ETag 지원, ?token= 서명 URL 사용 가능)
+app.get("/api/images/:imageId/content", authenticateFile, fileController.getImageContent);
+
+// 인쇄용 다이어리 페이지 다운로드
+app.get("/api/printables/:printableId/pages/:pageNumber/content", authenticateFile, fileController.getPrintablePageContent);
+
+// ==========================================
+// 다이어리 관련 API (순서 중요!)
+// ==========================================
+
+// ✅ 1. POST 라우트들
+app.post("/api/diaries", authenticate, async (req, res) => {
+  console.log("📥 다이어리 생성 요청:", req.body);
+  const { title, date, photoSlotIds } = req.body;
+  const { userId } = req.user;
+
+  if (!title) {
+    return res.status(400).json({ error: "title이 필요합니다." });
+  }
+
+  try {
+    let photoSlots = [];
     
+    if (photoSlotIds && photoSlotIds.length > 0) {
+      const { ObjectId } = require("mongodb");
+      const imageIds = photoSlotIds
+        .filter(id => id && id !== 'temp')
+        .map(id => {
+          try {
+            return new ObjectId(id);
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(id => id !== null);
+
+      if (imageIds.length > 0) {
+        // 본인이 업로드한 이미지만 다이어리에 포함
+        const images = await imagesCollection
+          .find({ _id: { $in: imageIds }, userId, deletedAt: { $exists: false } }, { projection: { imageData: 0 } })
+          .toArray();
+        const ownedImageIds = images.map((img) => img._id);
+
+        photoSlots = images.map(buildPhotoSlot);
+
+        await imagesCollection.updateMany(
+          { _id: { $in: ownedImageIds } },
+          { $set: { usedInDiary: true } }
+        );
+      }
+    }
+
+    // 촬영 시각순 정렬 + 여행 일정(day → stop → photos) 구성
+    const trip = structureTrip(photoSlots);
+    photoSlots = trip.photoSlots;
+
+    // 사진별 장소를 모아서 다이어리 대표 장소 / 방문 도시 목록 생성
+    const { place, places } = summarizePlaces(photoSlots.map(slot => slot.place));
+
+    const newDiary = {
+      userId,
+      title,
+      date: date || new Date().toLocaleDateString(),
+      photoSlots,
+      place,
+      places,
+      itinerary: trip.itinerary,
+      createdAt: new Date(),
+    };
+
+    const result = await diariesCollection.insertOne(newDiary);
+    await refreshSearchIndex(result.insertedId);
+
+    // 응답할 때 사진 URL 추가 (검토 페이지에서 사진을 보기 위함)
+    const diaryWithImages = { ...newDiary, _id: result.insertedId };
+    diaryWithImages.photoSlots = await attachPhotoUrls(req, diaryWithImages.photoSlots);
+
+    res.json({
+      success: true,
+      message: "✅ 다이어리 생성 완료",
+      diary: diaryWithImages,
+    });
+  } catch (err) {
+    console.error("❌ 다이어리 생성 오류:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// AI 결과는 AI diary results에만 쌓고, applyToContent: true 일 때만 다이어리 본문을 바꾸고 revision으로 기록
+app.post("/api/save-ai-diary", authenticate, async (req, res) => {
+  console.log("📥 AI 다이어리 저장 요청:", req.body);
+  const { diaryId, content, photoSlots, applyToContent } = req.body;
+  const { userId } = req.user;
+
+  try {
+    const { ObjectId } = require("mongodb");
+    const aiDiaryCollection = client.db("diary").collection("AI diary results");
+
+    const diary = await findAccessibleDiary(diaryId, userId, "editor");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
     const objectIdDiaryId = new ObjectId(diaryId);
     
     const cleanPhotoSlots = photoSlots ? photoSlots.map(slot => {
-      const { imageData, mimeType, ...rest } = slot;
+      const { imageData, mimeType, imageUrl, photo, ...rest } = slot;
       return rest;
     }) : [];
     
@@ -494,10 +1566,20 @@ app.post("/api/save-ai-diary", async (req, res) => {
       createdAt: new Date(),
     });
 
+    const updated = applyToContent === true
+      ? await saveDiaryEdit(diary, { content: content || "" }, {
+        source: "ai",
+        author: revisionAuthor(req),
+        aiResultId: result.insertedId,
+      })
+      : null;
+
     res.json({
       success: true,
       message: "✅ AI 다이어리 저장 완료",
       aiDiaryId: result.insertedId,
+      appliedToContent: Boolean(updated),
+      currentRevision: updated ? updated.currentRevision : diary.currentRevision || null,
     });
   } catch (err) {
     console.error("❌ AI 다이어리 저장 오류:", err);
@@ -505,33 +1587,89 @@ app.post("/api/save-ai-diary", async (req, res) => {
   }
 });
 
-app.post("/api/diaries/save-printable", async (req, res) => {
+// 페이지는 multipart "pages" 파일(스트리밍) 또는 JSON imageData(Base64, 기존 방식) 둘 다 허용
+app.post("/api/diaries/save-printable", authenticate, rateLimit("upload", { accountKey: (req) => req.user.userId }), (req, res, next) => {
+  printableUpload.array("pages")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({ success: false, error: `인쇄 페이지는 최대 ${MAX_PRINTABLE_PAGES}장까지 저장할 수 있습니다.` });
+    }
+    next(err);
+  });
+}, async (req, res) => {
   console.log("📥 인쇄 다이어리 저장 요청");
-  const { diaryId, userId, imageData } = req.body;
+  const { diaryId, imageData } = req.body;
+  const { userId } = req.user;
+  const uploadedPages = req.files || [];
+
+  // 검증에 실패하면 이미 저장소에 들어간 업로드 파일 정리
+  const rejectUpload = async (status, error) => {
+    await deleteStoredFiles({ images: uploadedPages });
+    return res.status(status).json({ success: false, error });
+  };
 
-  if (!diaryId || !userId || !imageData) {
-    return res.status(400).json({ success: false, error: "diaryId, userId, imageData가 필요합니다." });
+  if (!diaryId || (!imageData && uploadedPages.length === 0)) {
+    return rejectUpload(400, "diaryId와 인쇄할 페이지(pages 또는 imageData)가 필요합니다.");
+  }
+  const pageCount = uploadedPages.length > 0 ? uploadedPages.length : [].concat(imageData).length;
+  if (pageCount > MAX_PRINTABLE_PAGES) {
+    return rejectUpload(400, `인쇄 페이지는 최대 ${MAX_PRINTABLE_PAGES}장까지 저장할 수 있습니다.`);
+  }
+  // 크기 제한을 넘은 페이지는 잘린 채 저장되어 있으므로 전체 거부
+  if (uploadedPages.some(file => file.tooLarge)) {
+    return rejectUpload(413, `페이지 파일이 너무 큽니다. (최대 ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)`);
   }
 
   try {
     const { ObjectId } = require("mongodb");
-    const objectIdDiaryId = new ObjectId(diaryId);
 
-    // imageData가 배열인지 확인 (여러 페이지)
-    const imageDataArray = Array.isArray(imageData) ? imageData : [imageData];
+    const diary = await findAccessibleDiary(diaryId, userId, "editor");
+    if (!diary) {
+      return rejectUpload(404, "다이어리를 찾을 수 없습니다.");
+    }
+
+    const objectIdDiaryId = new ObjectId(diaryId);
     const savedPages = [];
 
-    for (let i = 0; i < imageDataArray.length; i++) {
-      const base64Data = imageDataArray[i].includes(",")
-        ? imageDataArray[i].split(",")[1]
-        : imageDataArray[i];
+    if (uploadedPages.length > 0) {
+      for (let i = 0; i < uploadedPages.length; i++) {
+        const file = uploadedPages[i];
+        const variants = await tryGenerateVariants({ blobId: file.blobId }, { userId, diaryId, kind: "printable" });
+        savedPages.push({
+          pageNumber: i + 1,
+          blobId: file.blobId,
+          size: file.size,
+          etag: file.etag,
+          mimeType: file.mimetype,
+          ...(variants && { variants }),
+        });
+      }
+    } else {
+      // imageData가 배열인지 확인 (여러 페이지)
+      const imageDataArray = Array.isArray(imageData) ? imageData : [imageData];
+
+      for (let i = 0; i < imageDataArray.length; i++) {
+        const base64Data = imageDataArray[i].includes(",")
+          ? imageDataArray[i].split(",")[1]
+          : imageDataArray[i];
+
+        // 페이지마다 별도 파일로 저장 → 여러 페이지여도 문서 16MB 제한에 걸리지 않음
+        const blob = await getBlobStore().put(Buffer.from(base64Data, "base64"), {
+          contentType: "image/png",
+          metadata: { userId, diaryId, kind: "printable", pageNumber: i + 1 },
+        });
 
-      console.log(`✅ 인쇄 다이어리 Base64 데이터 준비 (페이지 ${i + 1})`);
+        const variants = await tryGenerateVariants({ blobId: blob.id }, { userId, diaryId, kind: "printable" });
 
-      savedPages.push({
-        pageNumber: i + 1,
-        imageData: base64Data,  // Base64 문자열을 MongoDB에 직접 저장
-      });
+        console.log(`✅ 인쇄 다이어리 페이지 저장 (페이지 ${i + 1}, ${blob.size} bytes)`);
+
+        savedPages.push({
+          pageNumber: i + 1,
+          blobId: blob.id,
+          size: blob.size,
+          etag: blob.etag,
+          ...(variants && { variants }),
+        });
+      }
     }
 
     const result = await printableDiaryCollection.insertOne({
@@ -543,9 +1681,20 @@ app.post("/api/diaries/save-printable", async (req, res) => {
       createdAt: new Date(),
     });
 
+    // 새 인쇄본으로 바꾸고 이전 인쇄본은 문서와 저장소 파일 모두 삭제
+    const previous = { diaryId: { $in: [diary._id, diary._id.toString()] }, _id: { $ne: result.insertedId } };
+    const previousPrintables = await printableDiaryCollection
+      .find(previous, { projection: { "pages.blobId": 1, "pages.variants": 1 } })
+      .toArray();
+    if (previousPrintables.length > 0) {
+      await deleteStoredFiles({ printables: previousPrintables });
+      await printableDiaryCollection.deleteMany({ _id: { $in: previousPrintables.map(printable => printable._id) } });
+      console.log(`🗑️ 이전 인쇄 다이어리 ${previousPrintables.length}개 삭제`);
+    }
+
     await diariesCollection.updateOne(
       { _id: objectIdDiaryId },
-      { $set: { isCompleted: true, completedAt: new Date() } }
+      { $set: { isCompleted: true, completedAt: new Date() }, $unset: { printableStale: "" } }
     );
 
     console.log(`✅ 인쇄 다이어리 저장 완료 (${savedPages.length}페이지) + isCompleted 플래그 설정`);
@@ -562,7 +1711,7 @@ app.post("/api/diaries/save-printable", async (req, res) => {
   }
 });
 
-app.post("/api/diaries/mark-complete", async (req, res) => {
+app.post("/api/diaries/mark-complete", authenticate, async (req, res) => {
   console.log("📥 다이어리 작성 완료 표시:", req.body);
   const { diaryId } = req.body;
 
@@ -571,11 +1720,13 @@ app.post("/api/diaries/mark-complete", async (req, res) => {
   }
 
   try {
-    const { ObjectId } = require("mongodb");
-    const objectIdDiaryId = new ObjectId(diaryId);
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
 
     const result = await diariesCollection.updateOne(
-      { _id: objectIdDiaryId },
+      { _id: diary._id },
       { $set: { isCompleted: true } }
     );
 
@@ -590,76 +1741,270 @@ app.post("/api/diaries/mark-complete", async (req, res) => {
 });
 
 // ✅ 2. GET 라우트들 (구체적인 경로부터)
-app.get("/api/diaries/list/:userId", async (req, res) => {
-  console.log("📥 다이어리 목록 조회:", req.params.userId);
-  const { userId } = req.params;
-
-  try {
-    const diaries = await diariesCollection.find({ userId }).toArray();
-    diaries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// 목록 정렬 기준 (sort 파라미터 → 필드)
+const DIARY_SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  title: "title",
+  tripDate: "itinerary.days.0.date",
+};
 
-    // 썸네일 데이터 추가 (printable_diaries의 첫 번째 페이지 이미지)
-    const diariesWithThumbnails = await Promise.all(diaries.map(async (diary) => {
-      try {
-        const printableDiary = await printableDiaryCollection.findOne({
-          diaryId: diary._id
-        });
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-        // printable_diaries에서 첫 번째 페이지의 첫 번째 이미지를 썸네일로 사용
-        let thumbnailUrl = null;
-        if (printableDiary && printableDiary.pages && printableDiary.pages.length > 0) {
-          const firstPage = printableDiary.pages[0];
-          console.log(`📸 다이어리 ${diary._id} 전체 페이지 구조:`, Object.keys(firstPage));
-          console.log(`📸 다이어리 ${diary._id} 썸네일 정보:`, {
-            hasImageData: !!firstPage.imageData,
-            mimeType: firstPage.mimeType,
-            pageCount: firstPage.pageCount,
-            pageNumber: firstPage.pageNumber
-          });
-
-          // mimeType 찾기 (필드명이 다를 수 있음)
-          const mimeType = firstPage.mimeType || firstPage.mimetype || 'image/png';
-
-          if (firstPage.imageData && mimeType) {
-            // Base64 이미지 데이터를 data URL로 변환
-            thumbnailUrl = `data:${mimeType};base64,${firstPage.imageData}`;
-            console.log(`✅ 썸네일 생성 성공: ${thumbnailUrl.substring(0, 50)}...`);
-          }
-        } else {
-          console.log(`⚠️ 다이어리 ${diary._id}에 printable_diaries 없음`);
-        }
+function queryList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
 
-        return {
-          ...diary,
-          thumbnailUrl
-        };
-      } catch (err) {
-        console.error(`⚠️ 다이어리 ${diary._id} 썸네일 로드 실패:`, err);
-        return diary;
-      }
-    }));
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-    console.log(`✅ ${diariesWithThumbnails.length}개의 다이어리 목록 조회 완료 (썸네일 포함)`);
+// 목록 범위 (scope 파라미터): 전체 / 내가 만든 다이어리 / 초대받은 다이어리
+const DIARY_LIST_SCOPES = {
+  all: (userId) => accessibleDiaryFilter(userId),
+  owned: (userId) => ({ userId }),
+  shared: (userId) => ({ "members.userId": userId }),
+};
 
-    res.json({ success: true, data: diariesWithThumbnails });
-  } catch (err) {
-    console.error("❌ 다이어리 조회 오류:", err);
-    res.status(500).json({ success: false, error: err.message });
+/**
+ * 목록 필터 (scope, category, from/to, completed, place)
+ * 날짜 범위는 여행 일정(itinerary) 날짜 기준, 일정이 없는 예전 다이어리는 작성일 기준
+ */
+function buildDiaryListFilter(userId, query) {
+  const scope = DIARY_LIST_SCOPES[query.scope || "all"];
+  if (!scope) {
+    return { error: `scope는 ${Object.keys(DIARY_LIST_SCOPES).join(", ")} 중 하나여야 합니다.` };
   }
-});
+  const conditions = [scope(userId), { deletedAt: { $exists: false } }];
 
-app.get("/api/diaries/status/:diaryId", async (req, res) => {
-  console.log("📥 다이어리 상태 조회:", req.params.diaryId);
-  const { diaryId } = req.params;
+  const categories = queryList(query.category);
+  if (categories.length > 0) {
+    conditions.push({ category: { $in: categories } });
+  }
 
-  try {
-    const { ObjectId } = require("mongodb");
-    const objectIdDiaryId = new ObjectId(diaryId);
+  const { from, to } = query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: "from, to는 YYYY-MM-DD 형식이어야 합니다." };
+  }
+  if (from || to) {
+    const dayRange = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+    const createdRange = {
+      ...(from && { $gte: new Date(`${from}T00:00:00Z`) }),
+      ...(to && { $lt: new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) }),
+    };
+    conditions.push({
+      $or: [
+        { "itinerary.days": { $elemMatch: { date: dayRange } } },
+        { "itinerary.days.0": { $exists: false }, createdAt: createdRange },
+      ],
+    });
+  }
 
-    const diary = await diariesCollection.findOne(
-      { _id: objectIdDiaryId },
-      { projection: { isCompleted: 1 } }
-    );
+  if (query.completed === "true") {
+    conditions.push({ isCompleted: true });
+  } else if (query.completed === "false") {
+    conditions.push({ isCompleted: { $ne: true } });
+  }
+
+  if (query.place) {
+    const place = String(query.place).trim();
+    const pattern = new RegExp(escapeRegex(place), "i");
+    conditions.push({
+      $or: [
+        { "places.city": pattern },
+        { "places.region": pattern },
+        { "places.country": pattern },
+        { "places.countryCode": place.toUpperCase() },
+      ],
+    });
+  }
+
+  return { filter: { $and: conditions } };
+}
+
+// 상세 응답용 댓글 수: 전체(commentCount)와 사진별(photoSlots[].commentCount)
+async function attachCommentCounts(diary) {
+  const counts = await commentController.countCommentsByPhoto(diary._id);
+  return {
+    commentCount: [...counts.values()].reduce((sum, count) => sum + count, 0),
+    photoSlots: (diary.photoSlots || []).map(slot => ({ ...slot, commentCount: counts.get(String(slot.id)) || 0 })),
+  };
+}
+
+// 다이어리별 인쇄본 첫 페이지를 한 번의 집계로 조회 → { diaryId 문자열: { printableId, pageNumber } }
+async function findPrintableCovers(diaries) {
+  if (diaries.length === 0) return new Map();
+
+  const covers = await printableDiaryCollection.aggregate([
+    { $match: { diaryId: { $in: diaries.flatMap(diary => [diary._id, diary._id.toString()]) }, deletedAt: { $exists: false } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $toString: "$diaryId" },
+        printableId: { $first: "$_id" },
+        pageNumber: { $first: { $arrayElemAt: ["$pages.pageNumber", 0] } },
+      },
+    },
+  ]).toArray();
+
+  return new Map(covers.map(cover => [cover._id, cover]));
+}
+
+// 목록 조회 (커서 페이지네이션)
+// ?limit=20&cursor=...&sort=createdAt|updatedAt|title|tripDate&order=desc|asc
+// &category=가족여행,커플여행&from=2024-05-01&to=2024-05-31&completed=true|false&place=제주
+// &scope=all|owned|shared (기본 all: 내가 만든 다이어리 + 멤버로 초대받은 다이어리)
+app.get("/api/diaries/list/:userId", authenticate, async (req, res) => {
+  console.log("📥 다이어리 목록 조회:", req.params.userId, req.query);
+  const { userId } = req.params;
+  // 목록에는 기본적으로 썸네일 크기만 내려줌 (?size=medium|original 로 변경 가능)
+  const size = parseVariantName(req.query.size, "thumbnail");
+
+  if (userId !== req.user.userId) {
+    return res.status(403).json({ success: false, error: "다른 사용자의 다이어리 목록은 조회할 수 없습니다." });
+  }
+
+  const sortKey = req.query.sort || "createdAt";
+  const sortField = DIARY_SORT_FIELDS[sortKey];
+  if (!sortField) {
+    return res.status(400).json({ success: false, error: `sort는 ${Object.keys(DIARY_SORT_FIELDS).join(", ")} 중 하나여야 합니다.` });
+  }
+  const direction = req.query.order === "asc" ? 1 : -1;
+  const limit = parseLimit(req.query.limit);
+
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cursor) {
+    return res.status(400).json({ success: false, error: "cursor가 올바르지 않습니다." });
+  }
+
+  const { filter, error } = buildDiaryListFilter(userId, req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const query = cursor ? { $and: [filter, cursorFilter(cursor, sortField, direction)] } : filter;
+    const docs = await diariesCollection
+      // 목록에는 일정의 날짜별 요약만 (장소별 사진 목록 제외)
+      .find(query, { projection: { ...DIARY_HIDDEN_FIELDS, "itinerary.days.stops": 0, "itinerary.undatedPhotoIds": 0 } })
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .toArray();
+    const { items: diaries, pageInfo } = buildPage(docs, limit, sortField);
+
+    // 썸네일: 인쇄본 첫 페이지, 인쇄본이 없으면 첫 번째 사진
+    const covers = await findPrintableCovers(diaries);
+    const commentCounts = await commentController.countComments(diaries.map(diary => diary._id));
+    const diariesWithThumbnails = diaries.map((diary) => {
+      const cover = covers.get(diary._id.toString());
+      const firstPhoto = (diary.photoSlots || []).find(slot => slot.id && !String(slot.id).startsWith("temp"));
+
+      return {
+        ...diary,
+        myRole: diaryRole(diary, userId),
+        commentCount: commentCounts.get(diary._id.toString()) || 0,
+        thumbnailUrl: cover && cover.pageNumber !== undefined
+          ? fileController.printablePageUrl(req, cover.printableId, cover.pageNumber, size)
+          : null,
+        coverPhotoUrl: firstPhoto ? fileController.imageUrl(req, firstPhoto.id, size) : null,
+      };
+    });
+
+    console.log(`✅ ${diariesWithThumbnails.length}개의 다이어리 목록 조회 완료 (다음 페이지: ${pageInfo.hasMore ? "있음" : "없음"})`);
+
+    res.json({ success: true, data: diariesWithThumbnails, pageInfo });
+  } catch (err) {
+    console.error("❌ 다이어리 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 검색 후보 최대 개수 (토큰이 하나라도 맞는 다이어리 중 최근 수정순)
+const MAX_SEARCH_CANDIDATES = 300;
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// 다이어리 검색 (제목 / 본문 / AI 글 / 사진 키워드 / 장소)
+// ?q=흑돼지&limit=20 + 목록과 같은 필터(category, from/to, completed, place)
+// 결과는 점수순, 각 결과에 찾은 부분의 스니펫과 강조 위치(highlights: [[시작, 끝]]) 포함
+app.get("/api/diaries/search", authenticate, async (req, res) => {
+  const { userId } = req.user;
+  const q = String(req.query.q || "").trim();
+  console.log("📥 다이어리 검색:", userId, q);
+
+  if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ success: false, error: `검색어는 ${MAX_SEARCH_QUERY_LENGTH}자 이하여야 합니다.` });
+  }
+  const parsed = parseQuery(q);
+  if (parsed.tokens.length === 0) {
+    return res.status(400).json({ success: false, error: "검색어를 입력해주세요." });
+  }
+
+  const { filter, error } = buildDiaryListFilter(userId, req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const limit = parseLimit(req.query.limit, { maxLimit: 50 });
+  const size = parseVariantName(req.query.size, "thumbnail");
+
+  try {
+    const candidates = await diariesCollection
+      .find(
+        { $and: [filter, { searchTokens: { $in: parsed.tokens } }] },
+        { projection: { _id: 1, userId: 1, members: 1, title: 1, date: 1, content: 1, category: 1, isCompleted: 1, place: 1, places: 1, photoSlots: 1, createdAt: 1, updatedAt: 1 } }
+      )
+      .sort({ updatedAt: -1, createdAt: -1 })
+      .limit(MAX_SEARCH_CANDIDATES)
+      .toArray();
+
+    const aiContents = await latestAiContents(candidates);
+    const ranked = candidates
+      .map((diary) => {
+        const fields = searchableFields(diary, aiContents.get(diary._id.toString()));
+        return { diary, fields, score: scoreFields(fields, parsed) };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const data = ranked.slice(0, limit).map(({ diary, fields, score }) => {
+      const firstPhoto = (diary.photoSlots || []).find(slot => slot.id && !String(slot.id).startsWith("temp"));
+      return {
+        _id: diary._id,
+        title: diary.title,
+        date: diary.date,
+        category: diary.category,
+        place: diary.place,
+        myRole: diaryRole(diary, userId),
+        isCompleted: diary.isCompleted === true,
+        createdAt: diary.createdAt,
+        updatedAt: diary.updatedAt,
+        coverPhotoUrl: firstPhoto ? fileController.imageUrl(req, firstPhoto.id, size) : null,
+        score,
+        snippets: buildSnippets(fields, parsed),
+      };
+    });
+
+    console.log(`✅ 다이어리 검색 완료: ${ranked.length}개 중 ${data.length}개 반환`);
+
+    res.json({ success: true, query: q, total: ranked.length, data });
+  } catch (err) {
+    console.error("❌ 다이어리 검색 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/api/diaries/status/:diaryId", authenticate, async (req, res) => {
+  console.log("📥 다이어리 상태 조회:", req.params.diaryId);
+  const { diaryId } = req.params;
+
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
 
     if (!diary) {
       return res.status(404).json({ success: false, error: "해당 다이어리를 찾을 수 없습니다." });
@@ -668,6 +2013,7 @@ app.get("/api/diaries/status/:diaryId", async (req, res) => {
     res.json({
       success: true,
       isCompleted: diary.isCompleted === true,
+      printableStale: diary.printableStale === true,
     });
   } catch (err) {
     console.error("❌ 다이어리 상태 조회 오류:", err);
@@ -675,25 +2021,23 @@ app.get("/api/diaries/status/:diaryId", async (req, res) => {
   }
 });
 
-app.get("/api/diaries/printable/:diaryId", async (req, res) => {
+app.get("/api/diaries/printable/:diaryId", authenticate, async (req, res) => {
   console.log("📥 인쇄 다이어리 조회:", req.params.diaryId);
   const { diaryId } = req.params;
+  const size = parseVariantName(req.query.size);
 
   try {
-    const { ObjectId } = require("mongodb");
-    
-    let printableDiary;
-    
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      printableDiary = await printableDiaryCollection.findOne({ diaryId: objectIdDiaryId });
-    } catch (e) {
-      console.log("⚠️ ObjectId 변환 실패, 문자열로 찾기");
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다.", hasPrintable: false });
     }
 
-    if (!printableDiary) {
-      printableDiary = await printableDiaryCollection.findOne({ diaryId: diaryId });
-    }
+    // 페이지 이미지 본문은 다운로드 엔드포인트로 내려주므로 조회에서 제외
+    // 다시 저장할 때마다 새 인쇄본이 생기므로 가장 최근 것 사용 (목록 표지 / 공유 화면과 같은 기준)
+    const printableDiary = await printableDiaryCollection.findOne(
+      { diaryId: { $in: [diary._id, diary._id.toString()] } },
+      { projection: { "pages.imageData": 0 }, sort: { createdAt: -1 } }
+    );
 
     if (!printableDiary) {
       return res.status(404).json({
@@ -703,16 +2047,15 @@ app.get("/api/diaries/printable/:diaryId", async (req, res) => {
       });
     }
 
-    // MongoDB에서 Base64 데이터 직접 조회 (파일 시스템 의존 X)
+    // 페이지별 다운로드 URL (Base64를 응답에 싣지 않음)
     let pages = [];
     if (printableDiary.pages && Array.isArray(printableDiary.pages)) {
       for (const page of printableDiary.pages) {
-        if (page.imageData) {
-          pages.push({
-            imageData: page.imageData,
-            pageNumber: page.pageNumber,
-          });
-        }
+        pages.push({
+          imageUrl: fileController.printablePageUrl(req, printableDiary._id, page.pageNumber, size),
+          thumbnailUrl: fileController.printablePageUrl(req, printableDiary._id, page.pageNumber, "thumbnail"),
+          pageNumber: page.pageNumber,
+        });
       }
     }
 
@@ -735,363 +2078,967 @@ app.get("/api/diaries/printable/:diaryId", async (req, res) => {
   }
 });
 
-app.get("/api/diaries/:diaryId/detail", async (req, res) => {
-  console.log("📥 다이어리 상세 조회 (detail):", req.params.diaryId);
+app.get("/api/diaries/:diaryId/detail", authenticate, async (req, res) => {
+  console.log("📥 다이어리 상세 조회 (detail):", req.params.diaryId);
+  const { diaryId } = req.params;
+
+  try {
+    const { ObjectId } = require("mongodb");
+
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
+
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    diary.photoSlots = await attachPhotoUrls(req, diary.photoSlots, parseVariantName(req.query.size));
+    diary.currentRevision = await diaryRevisions.currentRevisionInfo(diary);
+    diary.myRole = diaryRole(diary, req.user.userId);
+    Object.assign(diary, await attachCommentCounts(diary));
+
+    res.json({ success: true, data: diary });
+  } catch (err) {
+    console.error("❌ 다이어리 상세 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 여행 일정 조회 (day → stop → photos)
+// 일정이 없는 예전 다이어리는 이 시점에 만들어서 저장
+app.get("/api/diaries/:diaryId/itinerary", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
+
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
+
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    let { itinerary, photoSlots = [] } = diary;
+    if (!itinerary) {
+      const trip = structureTrip(photoSlots);
+      ({ itinerary, photoSlots } = trip);
+      await diariesCollection.updateOne(
+        { _id: diary._id },
+        { $set: { itinerary, photoSlots } }
+      );
+      console.log(`🧭 여행 일정 생성: ${diaryId} (${itinerary.days.length}일)`);
+    }
+
+    const slots = await attachPhotoUrls(req, photoSlots, parseVariantName(req.query.size, "thumbnail"));
+    const slotsById = new Map(slots.map(slot => [slot.id, slot]));
+    const photosFor = (ids) => ids.map(id => slotsById.get(id)).filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        diaryId: diary._id,
+        place: diary.place || null,
+        days: itinerary.days.map(day => ({
+          ...day,
+          stops: day.stops.map(stop => ({ ...stop, photos: photosFor(stop.photoIds) })),
+        })),
+        undatedPhotos: photosFor(itinerary.undatedPhotoIds || []),
+        generatedAt: itinerary.generatedAt,
+      }
+    });
+  } catch (err) {
+    console.error("❌ 여행 일정 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 3. DELETE 라우트 (휴지통으로 이동, 보관 기간이 지나면 자동으로 완전 삭제)
+app.delete("/api/diaries/:diaryId", authenticate, async (req, res) => {
+  console.log("📥 다이어리 삭제 요청:", req.params.diaryId);
+  const { diaryId } = req.params;
+
+  try {
+    const diary = await findOwnedDiary(diaryId, req.user.userId);
+
+    if (!diary) {
+      console.log("❌ 다이어리를 찾을 수 없음. diaryId:", diaryId);
+      return res.status(404).json({ error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    const deletedAt = new Date();
+    const purgeAt = new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const trashed = await setDiaryTrashState(diary, { deletedAt, purgeAt });
+
+    console.log(`🗑️ 다이어리 휴지통 이동: ${diary._id} (사진 ${trashed.images}장, 완전 삭제 예정 ${purgeAt.toISOString()})`);
+
+    res.json({
+      success: true,
+      message: `✅ 다이어리가 휴지통으로 이동되었습니다. ${TRASH_RETENTION_DAYS}일 후 완전히 삭제됩니다.`,
+      deletedAt,
+      purgeAt,
+      trashedImages: trashed.images,
+    });
+  } catch (err) {
+    console.error("❌ 다이어리 삭제 오류:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 휴지통 목록
+app.get("/api/trash/diaries", authenticate, async (req, res) => {
+  try {
+    const diaries = await diariesCollection
+      .find(
+        { userId: req.user.userId, deletedAt: { $exists: true } },
+        { projection: { title: 1, date: 1, place: 1, photoSlots: 1, createdAt: 1, deletedAt: 1, purgeAt: 1 } }
+      )
+      .sort({ deletedAt: -1 })
+      .toArray();
+
+    const data = await Promise.all(diaries.map(async ({ photoSlots = [], ...diary }) => {
+      const [cover] = await attachPhotoUrls(req, photoSlots.slice(0, 1), "thumbnail");
+      return {
+        ...diary,
+        photoCount: photoSlots.length,
+        thumbnailUrl: cover?.thumbnailUrl || null,
+      };
+    }));
+
+    res.json({ success: true, retentionDays: TRASH_RETENTION_DAYS, data });
+  } catch (err) {
+    console.error("❌ 휴지통 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 휴지통에서 복원
+app.post("/api/trash/diaries/:diaryId/restore", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
+
+  try {
+    const diary = await findOwnedDiary(diaryId, req.user.userId, { trashed: true });
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "휴지통에서 다이어리를 찾을 수 없습니다." });
+    }
+
+    const restored = await setDiaryTrashState(diary, null);
+    console.log(`♻️ 다이어리 복원: ${diary._id} (사진 ${restored.images}장)`);
+
+    res.json({ success: true, message: "✅ 다이어리가 복원되었습니다.", diaryId: diary._id });
+  } catch (err) {
+    console.error("❌ 다이어리 복원 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 휴지통에서 완전 삭제 (되돌릴 수 없음)
+app.delete("/api/trash/diaries/:diaryId", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
+
+  try {
+    const diary = await findOwnedDiary(diaryId, req.user.userId, { trashed: true });
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "휴지통에서 다이어리를 찾을 수 없습니다." });
+    }
+
+    const removed = await purgeDiary(diary);
+
+    res.json({
+      success: true,
+      message: "✅ 다이어리가 완전히 삭제되었습니다.",
+      deletedImages: removed.images,
+      deletedAIDiaries: removed.aiResults,
+      removed,
+    });
+  } catch (err) {
+    console.error("❌ 다이어리 완전 삭제 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ 4. 통합 다이어리 조회 (맨 마지막!)
+app.get("/api/diaries/:diaryId", authenticate, async (req, res) => {
+  console.log("📥 다이어리 상세 조회 (통합 API):", req.params.diaryId);
+  const { diaryId } = req.params;
+
+  try {
+    const { ObjectId } = require("mongodb");
+
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
+
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    console.log("📝 조회된 다이어리:", {
+      _id: diary._id,
+      title: diary.title,
+      isCompleted: diary.isCompleted
+    });
+
+    const aiDiaryCollection = client.db("diary").collection("AI diary results");
+    let aiDiary = null;
+
+    // AI 결과는 저장할 때마다 쌓이므로 가장 최근 것 사용
+    aiDiary = await aiDiaryCollection.findOne(
+      { diaryId: { $in: [diary._id, diary._id.toString()] } },
+      { sort: { createdAt: -1 } }
+    );
+
+    console.log("🤖 AI 내용:", aiDiary?.content ? "있음" : "없음");
+
+    diary.photoSlots = await attachPhotoUrls(req, diary.photoSlots, parseVariantName(req.query.size));
+
+    const responseData = {
+      ...diary,
+      aiContent: aiDiary?.content || null,
+      isCompleted: diary.isCompleted === true,
+      currentRevision: await diaryRevisions.currentRevisionInfo(diary),
+      myRole: diaryRole(diary, req.user.userId),
+      ...await attachCommentCounts(diary)
+    };
+
+    console.log("✅ 최종 응답:", {
+      hasAiContent: !!responseData.aiContent,
+      isCompleted: responseData.isCompleted
+    });
+
+    res.json({
+      success: true,
+      data: responseData
+    });
+  } catch (err) {
+    console.error("❌ 다이어리 상세 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==========================================
+// 👥 함께 쓰는 다이어리 (멤버 / 초대)
+// ==========================================
+
+// 멤버 목록 (멤버 누구나) / 역할 변경, 내보내기 (소유자) / 나가기 (본인)
+app.get("/api/diaries/:diaryId/members", authenticate, memberController.listMembers);
+app.patch("/api/diaries/:diaryId/members/:memberId", authenticate, memberController.updateMemberRole);
+app.delete("/api/diaries/:diaryId/members/:memberId", authenticate, memberController.removeMember);
+
+// 초대 만들기 / 대기 중인 초대 목록 / 취소 (소유자)
+app.post("/api/diaries/:diaryId/invitations", authenticate, memberController.createInvitation);
+app.get("/api/diaries/:diaryId/invitations", authenticate, memberController.listDiaryInvitations);
+app.delete("/api/diaries/:diaryId/invitations/:invitationId", authenticate, memberController.revokeInvitation);
+
+// 받은 초대 목록 / 초대 코드로 수락 / 받은 초대 수락, 거절
+app.get("/api/invitations", authenticate, memberController.listMyInvitations);
+app.post("/api/invitations/accept", authenticate, rateLimit("inviteAccept", { accountKey: (req) => req.user.userId }), memberController.acceptInvitation);
+app.post("/api/invitations/:invitationId/accept", authenticate, memberController.acceptInvitation);
+app.post("/api/invitations/:invitationId/decline", authenticate, memberController.declineInvitation);
+
+// ==========================================
+// 🗺️ 지도 (GeoJSON)
+// ==========================================
+
+// 위치 정보가 있는 내 사진 전체 ("내가 가본 곳" 지도)
+// ?zoom=0~20&bbox=최소경도,최소위도,최대경도,최대위도&size= + 목록과 같은 필터(scope, category, from/to, completed, place)
+// from/to는 다이어리뿐 아니라 사진 하나하나의 여행 날짜에도 적용
+app.get("/api/map/photos", authenticate, async (req, res) => {
+  const { userId } = req.user;
+  console.log("📥 사진 지도 조회:", userId, req.query);
+
+  const zoom = parseZoom(req.query.zoom);
+  if (zoom === null) {
+    return res.status(400).json({ success: false, error: "zoom은 0~20 사이의 정수여야 합니다." });
+  }
+  const { bbox, error: bboxError } = parseBbox(req.query.bbox);
+  if (bboxError) {
+    return res.status(400).json({ success: false, error: bboxError });
+  }
+  const { filter, error } = buildDiaryListFilter(userId, req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const size = parseVariantName(req.query.size, "thumbnail");
+
+  try {
+    const diaries = await diariesCollection
+      .find(
+        { $and: [filter, { "photoSlots.exifData.location.latitude": { $exists: true } }] },
+        { projection: { _id: 1, title: 1, "photoSlots.id": 1, "photoSlots.timestamp": 1, "photoSlots.undated": 1, "photoSlots.exifData": 1, "photoSlots.place": 1 } }
+      )
+      .toArray();
+
+    const points = collectPhotoPoints(diaries, { from: req.query.from, to: req.query.to, bbox });
+    const collection = buildPhotoCollection(points, {
+      zoom,
+      photoUrl: photoId => fileController.imageUrl(req, photoId, size),
+    });
+
+    console.log(`✅ 사진 지도: 사진 ${points.length}장 → ${collection.features.length}개 표시`);
+
+    res.json({ success: true, data: collection });
+  } catch (err) {
+    console.error("❌ 사진 지도 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 다이어리 한 개의 이동 경로 (촬영 시각 순 LineString + 사진 위치)
+// ?from=&to=&category=&size= (category가 다이어리와 맞지 않으면 빈 FeatureCollection)
+app.get("/api/map/diaries/:diaryId/route", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
+  const { from, to } = req.query;
+  console.log("📥 여행 경로 조회:", diaryId);
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ success: false, error: "from, to는 YYYY-MM-DD 형식이어야 합니다." });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "viewer");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    const categories = queryList(req.query.category);
+    const diaryCategories = Array.isArray(diary.category) ? diary.category : [diary.category].filter(Boolean);
+    if (categories.length > 0 && !categories.some(category => diaryCategories.includes(category))) {
+      return res.json({ success: true, data: { type: "FeatureCollection", features: [] } });
+    }
+
+    const size = parseVariantName(req.query.size, "thumbnail");
+    const collection = buildRouteCollection(diary, {
+      from,
+      to,
+      photoUrl: photoId => fileController.imageUrl(req, photoId, size),
+    });
+
+    res.json({ success: true, data: collection });
+  } catch (err) {
+    console.error("❌ 여행 경로 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ==========================================
+// 💬 댓글 / 반응 (다이어리 또는 사진 단위, 멤버만)
+// ==========================================
+
+// 댓글 목록 (?photoId=) / 작성 / 답글 목록 / 내 댓글 수정 / 삭제 (작성자 또는 소유자)
+app.get("/api/diaries/:diaryId/comments", authenticate, commentController.listComments);
+app.post("/api/diaries/:diaryId/comments", authenticate, commentController.createComment);
+app.get("/api/diaries/:diaryId/comments/:commentId/replies", authenticate, commentController.listReplies);
+app.patch("/api/diaries/:diaryId/comments/:commentId", authenticate, commentController.updateComment);
+app.delete("/api/diaries/:diaryId/comments/:commentId", authenticate, commentController.deleteComment);
+
+// 반응 요약 / 추가 (body: { emoji, photoId }) / 취소 (?emoji=&photoId=)
+app.get("/api/diaries/:diaryId/reactions", authenticate, commentController.listReactions);
+app.post("/api/diaries/:diaryId/reactions", authenticate, commentController.addReaction);
+app.delete("/api/diaries/:diaryId/reactions", authenticate, commentController.removeReaction);
+
+// ==========================================
+// 🔗 공유 링크 API
+// ==========================================
+
+// 공유 링크 만들기 / 내 링크 목록 / 취소 (본인 다이어리만)
+app.post("/api/diaries/:diaryId/shares", authenticate, shareController.createShare);
+app.get("/api/shares", authenticate, shareController.listShares);
+app.delete("/api/shares/:shareId", authenticate, shareController.revokeShare);
+
+// 공개 조회 (로그인 없이 토큰으로, 읽기 전용)
+app.post("/api/public/shares/:token/unlock", rateLimit("shareUnlock", { accountKey: (req) => req.params.token }), shareController.unlockShare);
+app.get("/api/public/shares/:token", rateLimit("shareAccess"), shareController.loadShare, shareController.getSharedDiary);
+app.get("/api/public/shares/:token/photos/:imageId/content", rateLimit("shareAccess"), shareController.loadShare, shareController.getSharedPhoto);
+app.get("/api/public/shares/:token/printable/pages/:pageNumber/content", rateLimit("shareAccess"), shareController.loadShare, shareController.getSharedPrintablePage);
+
+// ==========================================
+// 인쇄 관련 API
+// ==========================================
+
+// 다이어리 인쇄 요청
+app.post("/api/print/diary", authenticate, printController.printDiary);
+
+// 인쇄 작업 상태 조회
+app.get("/api/print/status/:jobId", authenticate, printController.getPrintStatus);
+
+// 프린터 상태 확인
+app.get("/api/print/printer-status", authenticate, printController.getPrinterStatus);
+
+// 라즈베리파이에서 인쇄 완료 알림 웹훅
+app.post("/api/print/complete", printController.handlePrintComplete);
+
+// ============================================
+// 🔥 카테고리 분류 API (파이썬 연동)
+// ============================================
+
+app.post("/category/:diaryId", authenticate, async (req, res) => {
+  try {
+    const { diaryId } = req.params;
+
+    if (!(await findAccessibleDiary(diaryId, req.user.userId, "editor"))) {
+      return res.status(404).json({ error: "일기 데이터 없음" });
+    }
+
+    const doc = await testCollection.findOne({ diaryId });
+
+    if (!doc) {
+      return res.status(404).json({ error: "일기 데이터 없음" });
+    }
+
+    let categoryArray = Array.isArray(doc.category) ? doc.category : [];
+    const allText = doc.content || "";
+    const prediction = await classifyWithLocalModel(allText, diaryId);
+
+    // 분류에 실패하면 기존 카테고리를 그대로 둠
+    if (prediction.status === "failed") {
+      return res.status(503).json({ success: false, error: "카테고리 분류에 실패했습니다.", classification: predictionSummary(prediction) });
+    }
+
+    for (const { category } of prediction.categories) {
+      if (!categoryArray.includes(category)) {
+        categoryArray.push(category);
+      }
+    }
+
+    await testCollection.updateOne(
+      { diaryId },
+      {
+        $set: {
+          category: categoryArray,
+          categoryScores: { ...doc.categoryScores, ...categoryScores(prediction) },
+          categoryPrediction: prediction
+        }
+      }
+    );
+
+    res.json({ success: true, category: categoryArray, classification: predictionSummary(prediction) });
+  } catch (err) {
+    console.error("❌ 카테고리 분류 실패:", err);
+    res.status(500).json({ success: false, msg: "서버 오류" });
+  }
+});
+
+// ============================================
+// 📝 다이어리 content 업데이트 API
+// ============================================
+
+app.post("/api/diaries/update-content", authenticate, async (req, res) => {
+  console.log("📥 다이어리 content 업데이트 요청:", req.body);
+
+  const { diaryId, content } = req.body;
+
+  if (!diaryId || !content) {
+    return res.status(400).json({
+      success: false,
+      error: "diaryId와 content가 필요합니다."
+    });
+  }
+
+  try {
+    // diaries 컬렉션에 content 필드 업데이트 (소유자 / 편집 멤버만)
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
+
+    if (!diary) {
+      console.warn("⚠️ 다이어리를 찾을 수 없음:", diaryId);
+      return res.status(404).json({
+        success: false,
+        error: "다이어리를 찾을 수 없습니다."
+      });
+    }
+
+    await saveDiaryEdit(diary, { content }, { author: revisionAuthor(req) });
+
+    console.log("✅ diaries 컬렉션 content 업데이트 완료:", diaryId);
+
+    res.json({
+      success: true,
+      message: "다이어리 content가 저장되었습니다.",
+      diaryId
+    });
+  } catch (error) {
+    console.error("❌ content 업데이트 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ✏️ 다이어리 편집 API (제목 / 날짜 / 사진 추가·삭제·순서 / 캡션)
+// ============================================
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DATE_LENGTH = 40;
+const MAX_CAPTION_LENGTH = 500;
+
+function toObjectIds(ids) {
+  return ids
+    .map(id => {
+      try {
+        return new ObjectId(id);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(id => id !== null);
+}
+
+// revision 작성자 정보
+function revisionAuthor(req) {
+  return { userId: req.user.userId, username: req.user.username };
+}
+
+// 내용이 바뀌면 완료 상태를 풀고, 인쇄본이 있으면 다시 만들어야 한다고 표시
+// 본문(content)이 바뀌면 revision으로 기록 (revision: { author, source, aiResultId, restoredFrom })
+// 사진 목록을 읽은 뒤 다른 요청이 먼저 다이어리를 고쳤을 때
+const EDIT_CONFLICT = "EDIT_CONFLICT";
+const MAX_PHOTO_EDIT_ATTEMPTS = 5;
+
+function editConflictError() {
+  const err = new Error("다른 요청이 먼저 다이어리를 수정했습니다. 다시 시도해주세요.");
+  err.code = EDIT_CONFLICT;
+  return err;
+}
+
+async function saveDiaryEdit(diary, changes, revision = {}) {
+  const printable = await printableDiaryCollection.findOne(
+    { diaryId: { $in: [diary._id, diary._id.toString()] } },
+    { projection: { _id: 1 } }
+  );
+
+  const update = {
+    ...changes,
+    isCompleted: false,
+    updatedAt: new Date(),
+    ...(printable && { printableStale: true }),
+  };
+  // 사진 목록은 통째로 다시 쓰므로 읽은 뒤에 다른 수정이 없었을 때만 저장 (동시에 추가한 사진이 빠지지 않게)
+  const filter = changes.photoSlots
+    ? { _id: diary._id, updatedAt: diary.updatedAt ?? null }
+    : { _id: diary._id };
+  const result = await diariesCollection.updateOne(filter, { $set: update });
+  if (result.matchedCount === 0) {
+    throw editConflictError();
+  }
+
+  if (changes.content !== undefined && (changes.content !== diary.content || revision.source)) {
+    const saved = await diaryRevisions.recordRevision(diary, {
+      source: "user",
+      ...revision,
+      content: changes.content,
+    });
+    update.currentRevision = saved.revisionNumber;
+  }
+
+  await refreshSearchIndex(diary._id);
+
+  return { ...diary, ...update };
+}
+
+// 사진 구성이 바뀌면 일정 / 장소 요약도 다시 계산
+// 사용자가 순서를 직접 바꾼 다이어리는 그 순서를 유지
+function photoSlotChanges(diary, photoSlots, { customOrder = diary.photoOrderCustomized === true } = {}) {
+  const trip = structureTrip(photoSlots, { sort: !customOrder });
+  const { place, places } = summarizePlaces(trip.photoSlots.map(slot => slot.place));
+
+  return {
+    photoSlots: trip.photoSlots,
+    itinerary: trip.itinerary,
+    place,
+    places,
+    photoOrderCustomized: customOrder,
+  };
+}
+
+/**
+ * 업로드한 사진을 다이어리에 추가 (이미 있는 사진은 건너뜀)
+ * position을 지정하면 그 자리에 넣고 이후로는 직접 정한 순서를 유지
+ * 반환: { diary: 저장된 다이어리, added: 추가한 사진 수 }
+ */
+async function addPhotosToDiary(diary, images, position) {
+  let current = diary;
+  let updated;
+  let newSlots;
+  // 동시에 다른 사진이 추가되면 다이어리를 다시 읽어서 그 위에 추가
+  for (let attempt = 1; !updated; attempt++) {
+    const existingIds = new Set((current.photoSlots || []).map(slot => String(slot.id)));
+    newSlots = images
+      .filter(img => !existingIds.has(img._id.toString()))
+      .map(buildPhotoSlot);
+    if (newSlots.length === 0) return { diary: current, added: 0 };
+
+    const photoSlots = [...(current.photoSlots || [])];
+    const customOrder = position !== undefined || current.photoOrderCustomized === true;
+    photoSlots.splice(Math.min(position ?? photoSlots.length, photoSlots.length), 0, ...newSlots);
+
+    try {
+      updated = await saveDiaryEdit(current, photoSlotChanges(current, photoSlots, { customOrder }));
+    } catch (err) {
+      if (err.code !== EDIT_CONFLICT || attempt >= MAX_PHOTO_EDIT_ATTEMPTS) throw err;
+      current = await diariesCollection.findOne({ _id: diary._id, deletedAt: { $exists: false } });
+      if (!current) throw err;
+    }
+  }
+
+  await imagesCollection.updateMany(
+    { _id: { $in: newSlots.map(slot => new ObjectId(slot.id)) } },
+    { $set: { usedInDiary: true } }
+  );
+
+  return { diary: updated, added: newSlots.length };
+}
+
+// 다른 다이어리에서도 쓰지 않는 사진만 usedInDiary를 false로 되돌림
+// 함께 쓰는 다이어리에는 멤버가 올린 사진도 있으므로 사진 주인과 상관없이 확인
+async function releaseUnusedImages(photoIds) {
+  if (photoIds.length === 0) return;
+
+  const stillUsed = await diariesCollection.distinct("photoSlots.id", {
+    "photoSlots.id": { $in: photoIds },
+  });
+  const unused = photoIds.filter(id => !stillUsed.includes(id));
+
+  await imagesCollection.updateMany(
+    { _id: { $in: toObjectIds(unused) } },
+    { $set: { usedInDiary: false } }
+  );
+}
+
+async function sendEditedDiary(req, res, diary, message) {
+  const { _id, title, date, content, photoSlots, place, places, isCompleted, printableStale, currentRevision, updatedAt } = diary;
+  res.json({
+    success: true,
+    message,
+    diary: {
+      _id,
+      title,
+      date,
+      content,
+      photoSlots: await attachPhotoUrls(req, photoSlots, parseVariantName(req.query.size, "thumbnail")),
+      place,
+      places,
+      isCompleted: isCompleted === true,
+      printableStale: printableStale === true,
+      currentRevision: currentRevision || null,
+      updatedAt,
+    },
+  });
+}
+
+// 다이어리 정보 수정 (보낸 필드만 변경)
+app.patch("/api/diaries/:diaryId", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
+  const body = req.body || {};
+  const changes = {};
+
+  if (body.title !== undefined) {
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ success: false, error: `title은 1~${MAX_TITLE_LENGTH}자 문자열이어야 합니다.` });
+    }
+    changes.title = title;
+  }
+
+  if (body.date !== undefined) {
+    const date = typeof body.date === "string" ? body.date.trim() : "";
+    if (!date || date.length > MAX_DATE_LENGTH) {
+      return res.status(400).json({ success: false, error: "date 형식이 올바르지 않습니다." });
+    }
+    changes.date = date;
+  }
+
+  if (body.content !== undefined) {
+    if (typeof body.content !== "string") {
+      return res.status(400).json({ success: false, error: "content는 문자열이어야 합니다." });
+    }
+    changes.content = body.content;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ success: false, error: "수정할 항목(title, date, content)이 없습니다." });
+  }
+
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
+    const updated = await saveDiaryEdit(diary, changes, { author: revisionAuthor(req) });
+    console.log(`✏️ 다이어리 수정: ${diaryId} (${Object.keys(changes).join(", ")})`);
+
+    await sendEditedDiary(req, res, updated, "✅ 다이어리가 수정되었습니다.");
+  } catch (err) {
+    console.error("❌ 다이어리 수정 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 사진 추가 (imageIds: 업로드한 사진 id 목록, position: 넣을 위치 - 생략하면 촬영 시각순)
+app.post("/api/diaries/:diaryId/photos", authenticate, async (req, res) => {
   const { diaryId } = req.params;
+  const { userId } = req.user;
+  const { imageIds, position } = req.body || {};
+
+  if (!Array.isArray(imageIds) || imageIds.length === 0) {
+    return res.status(400).json({ success: false, error: "imageIds 배열이 필요합니다." });
+  }
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return res.status(400).json({ success: false, error: "position은 0 이상의 정수여야 합니다." });
+  }
 
   try {
-    const { ObjectId } = require("mongodb");
-    
-    let diary;
-    
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      diary = await diariesCollection.findOne({ _id: objectIdDiaryId });
-    } catch (e) {
-      console.log("⚠️ ObjectId 변환 실패, 문자열로 찾기");
-    }
-    
+    const diary = await findAccessibleDiary(diaryId, userId, "editor");
     if (!diary) {
-      diary = await diariesCollection.findOne({ _id: diaryId });
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
     }
 
-    if (!diary) {
-      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    // 멤버는 자기가 올린 사진을 함께 쓰는 다이어리에 추가
+    const images = await imagesCollection
+      .find({ _id: { $in: toObjectIds(imageIds) }, userId, deletedAt: { $exists: false } }, { projection: { imageData: 0 } })
+      .toArray();
+
+    const missing = imageIds.filter(id => !images.some(img => img._id.toString() === String(id)));
+    if (missing.length > 0) {
+      return res.status(400).json({ success: false, error: "찾을 수 없는 사진이 있습니다.", missing });
     }
 
-    if (diary.photoSlots && diary.photoSlots.length > 0) {
-      const photoIds = diary.photoSlots.map(slot => {
-        try {
-          return new ObjectId(slot.id);
-        } catch (e) {
-          return slot.id;
-        }
-      }).filter(id => id);
-
-      if (photoIds.length > 0) {
-        const images = await imagesCollection.find({ _id: { $in: photoIds } }).toArray();
-
-        diary.photoSlots = diary.photoSlots.map(slot => {
-          const image = images.find(img => img._id.toString() === slot.id.toString());
-          return {
-            ...slot,
-            imageData: image?.imageData,
-            mimeType: image?.mimeType,
-          };
-        });
-      }
+    const { diary: updated, added } = await addPhotosToDiary(diary, images, position);
+    if (added === 0) {
+      return res.status(409).json({ success: false, error: "이미 다이어리에 있는 사진입니다." });
     }
 
-    res.json({ success: true, data: diary });
+    console.log(`✏️ 다이어리 사진 추가: ${diaryId} (+${added}장)`);
+    await sendEditedDiary(req, res, updated, `✅ 사진 ${added}장이 추가되었습니다.`);
   } catch (err) {
-    console.error("❌ 다이어리 상세 조회 오류:", err);
+    if (err.code === EDIT_CONFLICT) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    console.error("❌ 다이어리 사진 추가 오류:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ 3. DELETE 라우트
-app.delete("/api/diaries/:diaryId", async (req, res) => {
-  console.log("📥 다이어리 삭제 요청:", req.params.diaryId);
+// 사진 순서 변경 (photoIds: 다이어리의 모든 사진 id를 원하는 순서대로)
+app.put("/api/diaries/:diaryId/photos/order", authenticate, async (req, res) => {
   const { diaryId } = req.params;
+  const { photoIds } = req.body || {};
+
+  if (!Array.isArray(photoIds)) {
+    return res.status(400).json({ success: false, error: "photoIds 배열이 필요합니다." });
+  }
 
   try {
-    const { ObjectId } = require("mongodb");
-    
-    let diary;
-    
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      diary = await diariesCollection.findOne({ _id: objectIdDiaryId });
-      if (diary) {
-        console.log("✅ ObjectId로 찾음: 성공");
-      } else {
-        console.log("⚠️ ObjectId로 못 찾음, 문자열로 시도");
-      }
-    } catch (e) {
-      console.log("⚠️ ObjectId 변환 실패:", e.message);
-    }
-    
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
     if (!diary) {
-      diary = await diariesCollection.findOne({ _id: diaryId });
-      if (diary) {
-        console.log("✅ 문자열로 찾음: 성공");
-      }
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
     }
 
-    if (!diary) {
-      console.log("❌ 다이어리를 찾을 수 없음. diaryId:", diaryId);
-      return res.status(404).json({ error: "다이어리를 찾을 수 없습니다." });
+    const slotsById = new Map((diary.photoSlots || []).map(slot => [String(slot.id), slot]));
+    const ordered = photoIds.map(id => slotsById.get(String(id)));
+    if (new Set(photoIds.map(String)).size !== slotsById.size || ordered.length !== slotsById.size || ordered.includes(undefined)) {
+      return res.status(400).json({ success: false, error: "photoIds는 다이어리의 모든 사진을 한 번씩 포함해야 합니다." });
     }
 
-    console.log("📝 조회된 다이어리:", diary._id);
+    const updated = await saveDiaryEdit(diary, photoSlotChanges(diary, ordered, { customOrder: true }));
 
-    const imageIds = [];
-    if (diary.photoSlots && Array.isArray(diary.photoSlots)) {
-      diary.photoSlots.forEach((slot) => {
-        if (slot.id && !slot.id.startsWith("temp")) {
-          try {
-            // ObjectId로 변환 시도
-            imageIds.push(new ObjectId(slot.id));
-          } catch (e) {
-            // 변환 실패 시 문자열 그대로 추가
-            imageIds.push(slot.id);
-          }
-        }
-      });
+    console.log(`✏️ 다이어리 사진 순서 변경: ${diaryId}`);
+    await sendEditedDiary(req, res, updated, "✅ 사진 순서가 변경되었습니다.");
+  } catch (err) {
+    if (err.code === EDIT_CONFLICT) {
+      return res.status(409).json({ success: false, error: err.message });
     }
+    console.error("❌ 다이어리 사진 순서 변경 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    console.log(`🗑️ 삭제할 이미지 ID: ${imageIds.length}개`, imageIds);
-
-    let deletedImageCount = 0;
-    if (imageIds.length > 0) {
-      const imageDeleteResult = await imagesCollection.deleteMany({ _id: { $in: imageIds } });
-      deletedImageCount = imageDeleteResult.deletedCount;
-      console.log(`✅ ${deletedImageCount}개의 이미지 삭제됨`);
-    } else {
-      console.log("⚠️ 삭제할 이미지가 없습니다.");
-    }
+// 사진 캡션 수정 (caption: 문자열, null이면 삭제)
+app.patch("/api/diaries/:diaryId/photos/:photoId", authenticate, async (req, res) => {
+  const { diaryId, photoId } = req.params;
+  const { caption } = req.body || {};
 
-    await diariesCollection.deleteOne({ _id: diary._id });
-    console.log("✅ 다이어리 삭제 완료");
+  if (caption !== null && (typeof caption !== "string" || caption.length > MAX_CAPTION_LENGTH)) {
+    return res.status(400).json({ success: false, error: `caption은 ${MAX_CAPTION_LENGTH}자 이하 문자열이어야 합니다.` });
+  }
 
-    const aiDiaryCollection = client.db("diary").collection("AI diary results");
-    
-    let aiDeleteResult;
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      aiDeleteResult = await aiDiaryCollection.deleteMany({ diaryId: objectIdDiaryId });
-    } catch (e) {
-      aiDeleteResult = await aiDiaryCollection.deleteMany({ diaryId: diaryId });
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
     }
-    
-    console.log(`✅ ${aiDeleteResult.deletedCount}개의 AI 다이어리 결과 삭제됨`);
 
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      const printDeleteResult = await printableDiaryCollection.deleteMany({ diaryId: objectIdDiaryId });
-      console.log(`✅ ${printDeleteResult.deletedCount}개의 인쇄 다이어리 삭제됨`);
-    } catch (e) {
-      console.log("⚠️ 인쇄 다이어리 삭제 시도 (문자열)");
-      const printDeleteResult = await printableDiaryCollection.deleteMany({ diaryId: diaryId });
-      console.log(`✅ ${printDeleteResult.deletedCount}개의 인쇄 다이어리 삭제됨`);
+    const photoSlots = diary.photoSlots || [];
+    if (!photoSlots.some(slot => String(slot.id) === photoId)) {
+      return res.status(404).json({ success: false, error: "다이어리에 없는 사진입니다." });
     }
 
-    res.json({ 
-      success: true, 
-      message: "✅ 다이어리 삭제 완료",
-      deletedImages: deletedImageCount,
-      deletedAIDiaries: aiDeleteResult.deletedCount
+    const trimmed = caption === null ? "" : caption.trim();
+    const updatedSlots = photoSlots.map((slot) => {
+      if (String(slot.id) !== photoId) return slot;
+      const { caption: previous, ...rest } = slot;
+      return trimmed ? { ...rest, caption: trimmed } : rest;
     });
+
+    const updated = await saveDiaryEdit(diary, { photoSlots: updatedSlots });
+
+    console.log(`✏️ 사진 캡션 수정: ${diaryId}/${photoId}`);
+    await sendEditedDiary(req, res, updated, "✅ 캡션이 저장되었습니다.");
   } catch (err) {
-    console.error("❌ 다이어리 삭제 오류:", err);
-    res.status(500).json({ error: err.message });
+    if (err.code === EDIT_CONFLICT) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    console.error("❌ 사진 캡션 수정 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ 4. 통합 다이어리 조회 (맨 마지막!)
-app.get("/api/diaries/:diaryId", async (req, res) => {
-  console.log("📥 다이어리 상세 조회 (통합 API):", req.params.diaryId);
-  const { diaryId } = req.params;
+// 사진 빼기 (업로드한 사진 자체는 지우지 않음)
+app.delete("/api/diaries/:diaryId/photos/:photoId", authenticate, async (req, res) => {
+  const { diaryId, photoId } = req.params;
+  const { userId } = req.user;
 
   try {
-    const { ObjectId } = require("mongodb");
-
-    let diary;
-
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      diary = await diariesCollection.findOne({ _id: objectIdDiaryId });
-      console.log("🔍 ObjectId로 조회:", diary ? "성공" : "실패");
-    } catch (e) {
-      console.log("⚠️ ObjectId 변환 실패, 문자열로 찾기");
-    }
-
-    if (!diary) {
-      diary = await diariesCollection.findOne({ _id: diaryId });
-      console.log("🔍 문자열로 조회:", diary ? "성공" : "실패");
-    }
-
+    const diary = await findAccessibleDiary(diaryId, userId, "editor");
     if (!diary) {
       return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
     }
 
-    console.log("📝 조회된 다이어리:", {
-      _id: diary._id,
-      title: diary.title,
-      isCompleted: diary.isCompleted
-    });
+    const photoSlots = (diary.photoSlots || []).filter(slot => String(slot.id) !== photoId);
+    if (photoSlots.length === (diary.photoSlots || []).length) {
+      return res.status(404).json({ success: false, error: "다이어리에 없는 사진입니다." });
+    }
 
-    const aiDiaryCollection = client.db("diary").collection("AI diary results");
-    let aiDiary = null;
+    const updated = await saveDiaryEdit(diary, photoSlotChanges(diary, photoSlots));
+    await releaseUnusedImages([photoId]);
 
-    try {
-      const objectIdDiaryId = new ObjectId(diaryId);
-      aiDiary = await aiDiaryCollection.findOne({ diaryId: objectIdDiaryId });
-    } catch (e) {
-      aiDiary = await aiDiaryCollection.findOne({ diaryId: diaryId });
+    console.log(`✏️ 다이어리 사진 제거: ${diaryId}/${photoId}`);
+    await sendEditedDiary(req, res, updated, "✅ 사진이 다이어리에서 제거되었습니다.");
+  } catch (err) {
+    if (err.code === EDIT_CONFLICT) {
+      return res.status(409).json({ success: false, error: err.message });
     }
+    console.error("❌ 다이어리 사진 제거 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    console.log("🤖 AI 내용:", aiDiary?.content ? "있음" : "없음");
+// ============================================
+// 📜 다이어리 본문 변경 이력 (revision)
+// ============================================
 
-    if (diary.photoSlots && diary.photoSlots.length > 0) {
-      const photoIds = diary.photoSlots
-        .map(slot => {
-          try {
-            return new ObjectId(slot.id);
-          } catch (e) {
-            return slot.id;
-          }
-        })
-        .filter(id => id);
-
-      if (photoIds.length > 0) {
-        const images = await imagesCollection.find({
-          _id: { $in: photoIds }
-        }).toArray();
-
-        diary.photoSlots = diary.photoSlots.map(slot => {
-          const image = images.find(img => img._id.toString() === slot.id.toString());
-          return {
-            ...slot,
-            imageData: image?.imageData,
-            mimeType: image?.mimeType,
-          };
-        });
-      }
-    }
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
 
-    const responseData = {
-      ...diary,
-      aiContent: aiDiary?.content || null,
-      isCompleted: diary.isCompleted === true
-    };
+// revision 목록 (최신순, 본문은 앞부분만)
+app.get("/api/diaries/:diaryId/revisions", authenticate, async (req, res) => {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, "viewer");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
 
-    console.log("✅ 최종 응답:", {
-      hasAiContent: !!responseData.aiContent,
-      isCompleted: responseData.isCompleted
-    });
+    const revisions = await diaryRevisions.listRevisions(diary._id);
 
     res.json({
       success: true,
-      data: responseData
+      currentRevision: diary.currentRevision || null,
+      revisions: revisions.map(revision => diaryRevisions.summarizeRevision(revision, diary.currentRevision)),
     });
   } catch (err) {
-    console.error("❌ 다이어리 상세 조회 오류:", err);
+    console.error("❌ revision 목록 조회 오류:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ==========================================
-// 인쇄 관련 API
-// ==========================================
-
-// 다이어리 인쇄 요청
-app.post("/api/print/diary", printController.printDiary);
-
-// 인쇄 작업 상태 조회
-app.get("/api/print/status/:jobId", printController.getPrintStatus);
-
-// 프린터 상태 확인
-app.get("/api/print/printer-status", printController.getPrinterStatus);
-
-// 라즈베리파이에서 인쇄 완료 알림 웹훅
-app.post("/api/print/complete", printController.handlePrintComplete);
-
-// ============================================
-// 🔥 카테고리 분류 API (파이썬 연동)
-// ============================================
-
-app.post("/category/:diaryId", async (req, res) => {
+// 두 revision 비교 (?from=1&to=3&mode=line|word, to를 생략하면 현재 revision)
+app.get("/api/diaries/:diaryId/revisions/diff", authenticate, async (req, res) => {
   try {
-    const { diaryId } = req.params;
-    const doc = await testCollection.findOne({ diaryId });
-
-    if (!doc) {
-      return res.status(404).json({ error: "일기 데이터 없음" });
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, "viewer");
+    if (!diary) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
     }
 
-    let categoryArray = Array.isArray(doc.category) ? doc.category : [];
-    const allText = doc.content || "";
-    let category = await classifyWithLocalModel(allText);
-
-    const categoryMap = {
-      "family": "가족여행",
-      "couple": "커플여행",
-      "friend": "우정여행",
-      "food": "맛집탐방여행",
-      "group": "단체여행"
-    };
-
-    category = categoryMap[category] || "우정여행";
+    const from = parseRevisionNumber(req.query.from);
+    const to = parseRevisionNumber(req.query.to ?? diary.currentRevision);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: "from, to revision 번호가 필요합니다." });
+    }
 
-    if (!categoryArray.includes(category)) {
-      categoryArray.push(category);
+    const [fromRevision, toRevision] = await Promise.all([
+      diaryRevisions.findRevision(diary._id, from),
+      diaryRevisions.findRevision(diary._id, to),
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ success: false, error: "revision을 찾을 수 없습니다." });
     }
 
-    await testCollection.updateOne(
-      { diaryId },
-      { $set: { category: categoryArray } }
-    );
+    const diff = diffText(fromRevision.content, toRevision.content, req.query.mode);
+    if (!diff) {
+      return res.status(413).json({ success: false, error: "바뀐 내용이 너무 많아 비교할 수 없습니다. revision을 하나씩 조회해주세요." });
+    }
 
-    res.json({ success: true, category: categoryArray });
+    res.json({
+      success: true,
+      from: diaryRevisions.summarizeRevision(fromRevision, diary.currentRevision),
+      to: diaryRevisions.summarizeRevision(toRevision, diary.currentRevision),
+      diff,
+    });
   } catch (err) {
-    console.error("❌ 카테고리 분류 실패:", err);
-    res.status(500).json({ success: false, msg: "서버 오류" });
+    console.error("❌ revision 비교 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ============================================
-// 📝 다이어리 content 업데이트 API
-// ============================================
-
-app.post("/api/diaries/update-content", async (req, res) => {
-  console.log("📥 다이어리 content 업데이트 요청:", req.body);
-
-  const { diaryId, content } = req.body;
+// revision 하나 조회 (본문 전체)
+app.get("/api/diaries/:diaryId/revisions/:revisionNumber", authenticate, async (req, res) => {
+  try {
+    const diary = await findAccessibleDiary(req.params.diaryId, req.user.userId, "viewer");
+    const revisionNumber = parseRevisionNumber(req.params.revisionNumber);
+    const revision = diary && revisionNumber && await diaryRevisions.findRevision(diary._id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: "revision을 찾을 수 없습니다." });
+    }
 
-  if (!diaryId || !content) {
-    return res.status(400).json({
-      success: false,
-      error: "diaryId와 content가 필요합니다."
+    res.json({
+      success: true,
+      revision: {
+        ...diaryRevisions.summarizeRevision(revision, diary.currentRevision),
+        content: revision.content,
+      },
     });
+  } catch (err) {
+    console.error("❌ revision 조회 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
+});
 
-  try {
-    const { ObjectId } = require("mongodb");
-    const objectIdDiaryId = new ObjectId(diaryId);
-
-    // diaries 컬렉션에 content 필드 업데이트
-    const result = await diariesCollection.updateOne(
-      { _id: objectIdDiaryId },
-      {
-        $set: {
-          content: content,
-          updatedAt: new Date()
-        }
-      }
-    );
+// 예전 revision으로 복원 (기존 이력은 그대로 두고 복원본을 새 revision으로 추가)
+app.post("/api/diaries/:diaryId/revisions/:revisionNumber/restore", authenticate, async (req, res) => {
+  const { diaryId } = req.params;
 
-    if (result.matchedCount === 0) {
-      console.warn("⚠️ 다이어리를 찾을 수 없음:", diaryId);
-      return res.status(404).json({
-        success: false,
-        error: "다이어리를 찾을 수 없습니다."
-      });
+  try {
+    const diary = await findAccessibleDiary(diaryId, req.user.userId, "editor");
+    const revisionNumber = parseRevisionNumber(req.params.revisionNumber);
+    const revision = diary && revisionNumber && await diaryRevisions.findRevision(diary._id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: "revision을 찾을 수 없습니다." });
     }
 
-    console.log("✅ diaries 컬렉션 content 업데이트 완료:", diaryId);
+    if (revision.revisionNumber === diary.currentRevision) {
+      return res.status(409).json({ success: false, error: "이미 현재 revision입니다." });
+    }
 
-    res.json({
-      success: true,
-      message: "다이어리 content가 저장되었습니다.",
-      diaryId
-    });
-  } catch (error) {
-    console.error("❌ content 업데이트 오류:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    const updated = await saveDiaryEdit(diary, { content: revision.content }, {
+      source: "restore",
+      author: revisionAuthor(req),
+      restoredFrom: revision.revisionNumber,
     });
+
+    console.log(`⏪ 다이어리 복원: ${diaryId} (revision ${revision.revisionNumber} → ${updated.currentRevision})`);
+    await sendEditedDiary(req, res, updated, `✅ revision ${revision.revisionNumber}의 내용으로 복원되었습니다.`);
+  } catch (err) {
+    console.error("❌ revision 복원 오류:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
@@ -1099,18 +3046,21 @@ app.post("/api/diaries/update-content", async (req, res) => {
 // 🎨 레이아웃 추천 API (카테고리 인덱스 기반!)
 // ============================================
 
-app.post("/api/layouts/recommend/:diaryId", async (req, res) => {
+app.post("/api/layouts/recommend/:diaryId", authenticate, async (req, res) => {
   console.log("📥 레이아웃 추천 요청:", req.params.diaryId);
 
   const { diaryId } = req.params;
 
   try {
-    const { ObjectId } = require("mongodb");
-    const objectIdDiaryId = new ObjectId(diaryId);
-
-    const diaryDoc = await diariesCollection.findOne({ _id: objectIdDiaryId });
+    // 휴지통에 있거나 편집 권한이 없는 다이어리는 분류 / 저장하지 않음
+    const diaryDoc = await findAccessibleDiary(diaryId, req.user.userId, "editor");
 
     if (!diaryDoc) {
+      const exists = await diariesCollection.countDocuments({ _id: { $in: [diaryId, ...toObjectIds([diaryId])] } }, { limit: 1 });
+      if (exists) {
+        return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+      }
+
       console.log("⚠️ 다이어리 없음 - 기본 레이아웃 반환");
       return res.json({
         success: true,
@@ -1125,8 +3075,11 @@ app.post("/api/layouts/recommend/:diaryId", async (req, res) => {
     console.log("✅ diaries 컬렉션에서 일기 발견:", diaryId);
 
     // 1. 카테고리 추출 및 AI 분류
-    let koreanCategory = "우정여행";
+    // categories: 추천에 쓸 카테고리 [{ category, probability }] (점수 없는 카테고리는 사용자가 직접 고른 것)
+    let categories = [];
     let hasExistingCategory = false;
+    // 이전에 저장된 분류 결과 (확률 / 모델 버전) — 사용자가 직접 고른 카테고리면 무시
+    let prediction = diaryDoc.categorySource === "manual" ? null : diaryDoc.categoryPrediction || null;
 
     if (diaryDoc.category && Array.isArray(diaryDoc.category)) {
       const travelCategories = diaryDoc.category.filter(cat =>
@@ -1134,9 +3087,12 @@ app.post("/api/layouts/recommend/:diaryId", async (req, res) => {
       );
 
       if (travelCategories.length > 0) {
-        koreanCategory = travelCategories[0];
+        categories = travelCategories.map(category => ({
+          category,
+          probability: diaryDoc.categoryScores?.[category] ?? null
+        }));
         hasExistingCategory = true;
-        console.log("✅ 기존 카테고리:", koreanCategory);
+        console.log("✅ 기존 카테고리:", travelCategories.join(", "));
       }
     }
 
@@ -1146,49 +3102,55 @@ app.post("/api/layouts/recommend/:diaryId", async (req, res) => {
       console.log("📝 분석할 텍스트 길이:", diaryDoc.content.length);
       console.log("📝 텍스트 미리보기:", diaryDoc.content.substring(0, 100) + "...");
 
-      try {
-        let aiCategory = await classifyWithLocalModel(diaryDoc.content);
-        console.log("🤖 AI 분류 결과 (영문):", aiCategory);
-
-        const categoryMap = {
-          "family": "가족여행",
-          "couple": "커플여행",
-          "friend": "우정여행",
-          "food": "맛집탐방여행",
-          "group": "단체여행"
-        };
-        koreanCategory = categoryMap[aiCategory] || "우정여행";
+      prediction = await classifyWithLocalModel(diaryDoc.content, diaryId);
 
-        // diaries 컬렉션에 category 저장
+      if (prediction.status !== "failed") {
+        const predicted = prediction.categories.map(({ category }) => category);
+        categories = prediction.categories.map(({ category, score }) => ({ category, probability: score }));
+
+        // diaries 컬렉션에 category와 점수, 분류 결과(확률 / 모델 버전) 저장
+        const scores = Object.fromEntries(Object.entries(categoryScores(prediction)).map(([category, score]) => [`categoryScores.${category}`, score]));
         await diariesCollection.updateOne(
-          { _id: objectIdDiaryId },
-          { $addToSet: { category: koreanCategory } }
+          { _id: diaryDoc._id },
+          { $addToSet: { category: { $each: predicted } }, $set: { ...scores, categorySource: "model", categoryPrediction: prediction } }
         );
 
-        console.log("✅ AI 분류 완료 (한글):", koreanCategory);
-      } catch (aiError) {
-        console.error("❌ AI 분류 실패:", aiError);
-        console.error("❌ 에러 상세:", aiError.stack);
+        console.log("✅ AI 분류 완료 (한글):", predicted.join(", "));
+      } else {
+        console.log("⚠️ AI 분류 실패 - 기본 카테고리 사용:", prediction.message);
       }
     } else if (!diaryDoc.content) {
       console.log("⚠️ 다이어리 내용이 없어서 AI 분류를 건너뜁니다.");
     }
 
-    // 2. ⭐ 카테고리 → 레이아웃 인덱스 매핑 가져오기
-    const layoutIndices = CATEGORY_LAYOUT_MAP[koreanCategory] || [1, 3];
+    if (categories.length === 0) {
+      categories = [{ category: "우정여행", probability: null }];
+    }
+
+    // 2. ⭐ 분류 결과가 지금 카테고리를 정한 것이고 확신하지 못했으면 상위 두 카테고리까지 함께 고려
+    const uncertain = prediction?.status === "uncertain" && categories.some(({ category }) => category === prediction.category);
+    if (uncertain) {
+      for (const candidate of candidateCategories(prediction, 2)) {
+        if (!categories.some(({ category }) => category === candidate.category)) categories.push(candidate);
+      }
+    }
+    // 직접 고른 카테고리(점수 없음)가 먼저, 나머지는 점수 순
+    categories.sort((a, b) => (b.probability ?? Infinity) - (a.probability ?? Infinity));
+    const koreanCategory = categories[0].category;
 
-    // 3. ⭐ 매핑된 레이아웃 가져오기
-    const recommendedLayouts = [
-      { ...LAYOUT_STRUCTURES[layoutIndices[0]], categoryName: koreanCategory },
-      { ...LAYOUT_STRUCTURES[layoutIndices[1]], categoryName: koreanCategory }
-    ];
+    // 3. ⭐ 카테고리별 레이아웃을 점수로 합쳐서 추천
+    const recommendedLayouts = recommendLayouts(categories);
+    const layoutIndices = recommendedLayouts.map(layout => layout.layoutIndex);
 
-    console.log(`✅ 추천 레이아웃: ${koreanCategory} -> [${layoutIndices[0]}, ${layoutIndices[1]}]`);
+    console.log(`✅ 추천 레이아웃: ${categories.map(c => c.category).join(", ")} -> [${layoutIndices.join(", ")}]`);
 
     res.json({
       success: true,
       diaryId,
       category: koreanCategory,
+      uncertain,
+      categories,
+      classification: prediction ? predictionSummary(prediction) : null,
       layoutIndices,
       recommendedLayouts,
       diaryData: {
@@ -1211,11 +3173,15 @@ app.post("/api/layouts/recommend/:diaryId", async (req, res) => {
 // 레이아웃 선택 저장
 // ============================================
 
-app.post("/api/layouts/select/:diaryId", async (req, res) => {
+app.post("/api/layouts/select/:diaryId", authenticate, async (req, res) => {
   const { diaryId } = req.params;
   const { layoutId, layoutIndex } = req.body;
 
   try {
+    if (!(await findAccessibleDiary(diaryId, req.user.userId, "editor"))) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
     await testCollection.updateOne(
       { diaryId },
       {
@@ -1242,11 +3208,22 @@ app.post("/api/layouts/select/:diaryId", async (req, res) => {
   }
 });
 
+// ============================================
+// 카테고리 직접 지정 / 수정 (수정 기록은 학습 데이터로 저장)
+// ============================================
+
+// body: { categories: ["커플여행", "맛집탐방여행"] }
+app.put("/api/diaries/:diaryId/category", authenticate, categoryController.correctCategory);
+
+// 관리자: 학습 데이터 JSONL (?format=single|multi&since&until&modelVersion) / 예측 vs 수정 혼동 행렬
+app.get("/api/admin/category-corrections/export", authenticate, auth.requireAdmin, categoryController.exportTrainingData);
+app.get("/api/admin/category-corrections/confusion-matrix", authenticate, auth.requireAdmin, categoryController.confusionReport);
+
 // ============================================
 // 카테고리 재분류 API (강제 재분류)
 // ============================================
 
-app.post("/api/diaries/reclassify/:diaryId", async (req, res) => {
+app.post("/api/diaries/reclassify/:diaryId", authenticate, async (req, res) => {
   console.log("🔄 카테고리 재분류 요청:", req.params.diaryId);
 
   const { diaryId } = req.params;
@@ -1255,7 +3232,7 @@ app.post("/api/diaries/reclassify/:diaryId", async (req, res) => {
     const { ObjectId } = require("mongodb");
     const objectIdDiaryId = new ObjectId(diaryId);
 
-    const diaryDoc = await diariesCollection.findOne({ _id: objectIdDiaryId });
+    const diaryDoc = await findAccessibleDiary(diaryId, req.user.userId, "editor");
 
     if (!diaryDoc) {
       return res.status(404).json({
@@ -1274,40 +3251,37 @@ app.post("/api/diaries/reclassify/:diaryId", async (req, res) => {
     console.log("🤖 AI 카테고리 강제 재분류 시작...");
     console.log("📝 분석할 텍스트 길이:", diaryDoc.content.length);
 
-    try {
-      let aiCategory = await classifyWithLocalModel(diaryDoc.content);
-      console.log("🤖 AI 분류 결과 (영문):", aiCategory);
-
-      const categoryMap = {
-        "family": "가족여행",
-        "couple": "커플여행",
-        "friend": "우정여행",
-        "food": "맛집탐방여행",
-        "group": "단체여행"
-      };
-      const koreanCategory = categoryMap[aiCategory] || "우정여행";
-
-      // 기존 카테고리 제거하고 새 카테고리 저장
-      await diariesCollection.updateOne(
-        { _id: objectIdDiaryId },
-        { $set: { category: [koreanCategory] } }
-      );
-
-      console.log("✅ AI 재분류 완료 (한글):", koreanCategory);
+    const prediction = await classifyWithLocalModel(diaryDoc.content, diaryId);
 
-      res.json({
-        success: true,
-        category: koreanCategory,
-        message: `카테고리가 "${koreanCategory}"로 재분류되었습니다.`
-      });
-    } catch (aiError) {
-      console.error("❌ AI 분류 실패:", aiError);
-      res.status(500).json({
+    // 분류에 실패하면 기존 카테고리를 지우지 않음
+    if (prediction.status === "failed") {
+      return res.status(503).json({
         success: false,
-        error: "AI 분류 중 오류가 발생했습니다: " + aiError.message
+        error: "AI 분류 중 오류가 발생했습니다: " + prediction.message,
+        classification: predictionSummary(prediction)
       });
     }
 
+    const koreanCategory = prediction.category;
+    const categories = prediction.categories.map(({ category }) => category);
+
+    // 기존 카테고리 제거하고 새 카테고리(점수 순) + 점수 + 분류 결과 저장
+    await diariesCollection.updateOne(
+      { _id: objectIdDiaryId },
+      { $set: { category: categories, categoryScores: categoryScores(prediction), categorySource: "model", categoryPrediction: prediction } }
+    );
+
+    console.log("✅ AI 재분류 완료 (한글):", categories.join(", "));
+
+    res.json({
+      success: true,
+      category: koreanCategory,
+      categories: prediction.categories,
+      uncertain: prediction.status === "uncertain",
+      classification: predictionSummary(prediction),
+      message: `카테고리가 "${categories.join(", ")}"로 재분류되었습니다.`
+    });
+
   } catch (error) {
     console.error("❌ 카테고리 재분류 오류:", error);
     res.status(500).json({
@@ -1321,10 +3295,14 @@ app.post("/api/diaries/reclassify/:diaryId", async (req, res) => {
 // 프리뷰 데이터 조회
 // ============================================
 
-app.get("/api/layouts/preview/:diaryId/:layoutId", async (req, res) => {
+app.get("/api/layouts/preview/:diaryId/:layoutId", authenticate, async (req, res) => {
   const { diaryId, layoutId } = req.params;
 
   try {
+    if (!(await findAccessibleDiary(diaryId, req.user.userId, "viewer"))) {
+      return res.status(404).json({ success: false, error: "다이어리를 찾을 수 없습니다." });
+    }
+
     const diaryDoc = await testCollection.findOne({ diaryId });
 
     if (!diaryDoc) {
@@ -1334,22 +3312,21 @@ app.get("/api/layouts/preview/:diaryId/:layoutId", async (req, res) => {
       });
     }
 
-    let koreanCategory = "우정여행";
+    // 추천할 때와 같은 방식으로 모든 카테고리의 레이아웃을 합쳐서 그중에서 찾음
+    let categories = [{ category: "우정여행", probability: null }];
     if (diaryDoc.category && Array.isArray(diaryDoc.category)) {
       const travelCategories = diaryDoc.category.filter(cat =>
         isNaN(cat) && typeof cat === 'string' && CATEGORY_LAYOUT_MAP[cat] !== undefined
       );
       if (travelCategories.length > 0) {
-        koreanCategory = travelCategories[0];
+        categories = travelCategories.map(category => ({
+          category,
+          probability: diaryDoc.categoryScores?.[category] ?? null
+        }));
       }
     }
 
-    const layoutIndices = CATEGORY_LAYOUT_MAP[koreanCategory] || [1, 3];
-
-    const layouts = [
-      LAYOUT_STRUCTURES[layoutIndices[0]],
-      LAYOUT_STRUCTURES[layoutIndices[1]]
-    ];
+    const layouts = recommendLayouts(categories);
 
     const selectedLayout = layouts.find(l => l.layoutId === layoutId) || layouts[0];
 
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// 토큰 종류별 유효기간
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,        // 1시간
+  email_verification: 24 * 60 * 60 * 1000 // 24시간
+};
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let accountTokenCollection;
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+function initializeCollections(accountTokens) {
+  accountTokenCollection = accountTokens;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 비밀번호 재설정 / 이메일 인증용 1회용 토큰 발급
+ * 같은 종류의 이전 토큰은 사용 처리해서 마지막으로 보낸 링크만 유효하게 함
+ */
+async function createAccountToken(userObjectId, type) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await accountTokenCollection.updateMany(
+    { userObjectId, type, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+
+  await accountTokenCollection.insertOne({
+    tokenHash: hashToken(token),
+    userObjectId,
+    type,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+    createdAt: new Date(),
+  });
+
+  return token;
+}
+
+/**
+ * 토큰 사용 (한 번만 성공, 만료된 토큰은 거부)
+ * 성공 시 토큰 주인의 userObjectId 반환, 실패 시 null
+ */
+async function consumeAccountToken(token, type) {
+  const stored = await accountTokenCollection.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return stored ? stored.userObjectId : null;
+}
+
+module.exports = {
+  initializeCollections,
+  createAccountToken,
+  consumeAccountToken
+};
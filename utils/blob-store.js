@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// 사진/인쇄 페이지 같은 바이너리 저장소
+// BLOB_STORE=gridfs(기본) | local
+// 저장소는 put, stat, createReadStream, delete 네 가지만 구현하면 교체 가능
+const BLOB_STORE = process.env.BLOB_STORE || 'gridfs';
+const LOCAL_BLOB_DIR = process.env.LOCAL_BLOB_DIR || path.join(__dirname, '..', 'blob-storage');
+
+function toReadable(input) {
+  return Buffer.isBuffer(input) ? Readable.from([input]) : input;
+}
+
+// 스트림을 흘려보내면서 크기와 MD5(ETag용)를 계산
+function createDigestStream() {
+  const hash = crypto.createHash('md5');
+  let size = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  stream.result = () => ({ size, etag: `"${hash.digest('hex')}"` });
+  return stream;
+}
+
+// ============================================
+// GridFS 저장소 (MongoDB에 청크 단위로 저장 → 16MB 문서 제한 없음)
+// ============================================
+
+function createGridFsStore(db, bucketName = 'blobs') {
+  const bucket = new GridFSBucket(db, { bucketName });
+  const filesCollection = db.collection(`${bucketName}.files`);
+
+  function toId(id) {
+    try {
+      return new ObjectId(id);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    async put(input, { contentType, metadata = {} } = {}) {
+      const digest = createDigestStream();
+      const upload = bucket.openUploadStream(metadata.fileName || 'blob', {
+        metadata: { ...metadata, contentType },
+      });
+
+      try {
+        await pipeline(toReadable(input), digest, upload);
+      } catch (err) {
+        // 중간에 실패하면 이미 올라간 청크 정리
+        await upload.abort().catch(() => {});
+        throw err;
+      }
+
+      const { size, etag } = digest.result();
+      await filesCollection.updateOne({ _id: upload.id }, { $set: { 'metadata.etag': etag } });
+
+      return { id: upload.id.toString(), size, etag, contentType };
+    },
+
+    async stat(id) {
+      const objectId = toId(id);
+      if (!objectId) return null;
+
+      const file = await filesCollection.findOne({ _id: objectId });
+      if (!file) return null;
+
+      return {
+        id,
+        size: file.length,
+        contentType: file.metadata?.contentType,
+        etag: file.metadata?.etag,
+        metadata: file.metadata || {},
+      };
+    },
+
+    // start/end는 포함 범위 (HTTP Range와 동일)
+    createReadStream(id, { start, end } = {}) {
+      const options = {};
+      if (start !== undefined) options.start = start;
+      if (end !== undefined) options.end = end + 1; // GridFS의 end는 미포함
+      return bucket.openDownloadStream(toId(id), options);
+    },
+
+    async delete(id) {
+      const objectId = toId(id);
+      if (!objectId) return;
+      try {
+        await bucket.delete(objectId);
+      } catch (err) {
+        // 이미 지워진 파일은 무시
+        if (!/FileNotFound|not found/i.test(err.message)) throw err;
+      }
+    },
+  };
+}
+
+// ============================================
+// 로컬 디스크 저장소 (개발용 / 단일 서버용)
+// 파일 본문은 <id>, 메타데이터는 <id>.json 으로 저장
+// ============================================
+
+function createLocalDiskStore(rootDir = LOCAL_BLOB_DIR) {
+  if (!fs.existsSync(rootDir)) {
+    fs.mkdirSync(rootDir, { recursive: true });
+  }
+
+  // 경로 조작 방지를 위해 id는 영숫자만 허용
+  function filePath(id) {
+    if (!/^[a-f0-9]+$/.test(id)) return null;
+    return path.join(rootDir, id);
+  }
+
+  return {
+    async put(input, { contentType, metadata = {} } = {}) {
+      const id = crypto.randomBytes(16).toString('hex');
+      const digest = createDigestStream();
+
+      try {
+        await pipeline(toReadable(input), digest, fs.createWriteStream(filePath(id)));
+      } catch (err) {
+        await fs.promises.rm(filePath(id), { force: true });
+        throw err;
+      }
+
+      const { size, etag } = digest.result();
+      await fs.promises.writeFile(
+        `${filePath(id)}.json`,
+        JSON.stringify({ size, etag, contentType, metadata, createdAt: new Date() })
+      );
+
+      return { id, size, etag, contentType };
+    },
+
+    async stat(id) {
+      const file = filePath(id);
+      if (!file || !fs.existsSync(`${file}.json`)) return null;
+
+      const meta = JSON.parse(await fs.promises.readFile(`${file}.json`, 'utf8'));
+      return { id, size: meta.size, contentType: meta.contentType, etag: meta.etag, metadata: meta.metadata || {} };
+    },
+
+    createReadStream(id, { start, end } = {}) {
+      return fs.createReadStream(filePath(id), { start, end });
+    },
+
+    async delete(id) {
+      const file = filePath(id);
+      if (!file) return;
+      await fs.promises.rm(file, { force: true });
+      await fs.promises.rm(`${file}.json`, { force: true });
+    },
+  };
+}
+
+let blobStore = null;
+
+// 저장소 초기화 (server.js의 connectDB에서 호출)
+function initializeBlobStore(db) {
+  blobStore = BLOB_STORE === 'local' ? createLocalDiskStore() : createGridFsStore(db);
+  console.log(`🗄️ 파일 저장소: ${BLOB_STORE === 'local' ? '로컬 디스크' : 'GridFS'}`);
+  return blobStore;
+}
+
+function getBlobStore() {
+  if (!blobStore) {
+    throw new Error('파일 저장소가 아직 초기화되지 않았습니다.');
+  }
+  return blobStore;
+}
+
+function setBlobStore(store) {
+  blobStore = store;
+}
+
+// 저장된 파일을 Buffer로 읽기 (라즈베리파이 전송, 내보내기 등)
+async function readBlob(id) {
+  const chunks = [];
+  for await (const chunk of getBlobStore().createReadStream(id)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// ============================================
+// HTTP 응답 (ETag / Range 지원)
+// ============================================
+
+// "bytes=start-end" 형식 하나만 지원 (여러 구간 요청은 전체 응답)
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // bytes=-500 → 마지막 500바이트
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+}
+
+/**
+ * 파일 내용을 응답으로 스트리밍
+ * file: { size, contentType, etag }, open: (start, end) => Readable
+ */
+async function sendBlob(req, res, file, open) {
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  if (file.etag) res.setHeader('ETag', file.etag);
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+
+  if (file.etag && req.headers['if-none-match'] === file.etag) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  // If-Range가 현재 ETag와 다르면 파일이 바뀐 것이므로 전체를 보냄
+  if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === file.etag)) {
+    range = parseRange(req.headers.range, file.size);
+  }
+
+  if (range && range.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    res.setHeader('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.setHeader('Content-Length', String(file.size));
+  }
+
+  if (req.method === 'HEAD' || file.size === 0) {
+    return res.end();
+  }
+
+  await pipeline(open(range ? range.start : 0, range ? range.end : file.size - 1), res);
+}
+
+module.exports = {
+  initializeBlobStore,
+  getBlobStore,
+  setBlobStore,
+  createGridFsStore,
+  createLocalDiskStore,
+  readBlob,
+  sendBlob
+};
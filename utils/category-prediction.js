@@ -0,0 +1,128 @@
+// 카테고리 분류 결과 해석
+// 모델은 영문 라벨별 확률을 주고, 서버는 한글 카테고리 + 확신 여부로 바꿔서 저장 / 응답
+// - 여러 카테고리: 라벨마다 따로 정한 기준(CLASSIFIER_LABEL_THRESHOLDS, 기본 CLASSIFIER_LABEL_THRESHOLD) 이상이면 모두 선택
+//   (예: 커플여행 0.46 + 맛집탐방여행 0.38) 기준을 넘는 라벨이 없으면 1등 하나만
+// - confident: 1등 확률이 CLASSIFIER_CONFIDENCE_THRESHOLD 이상
+// - uncertain: 1등 확률이 기준보다 낮음 (선택한 카테고리를 쓰되 상위 카테고리들도 함께 고려)
+// - failed: 분류 자체가 실패 (워커 없음 / 시간 초과 / 모델 오류) → 카테고리를 바꾸지 않음
+
+const CATEGORY_LABELS = {
+  family: '가족여행',
+  couple: '커플여행',
+  friend: '우정여행',
+  food: '맛집탐방여행',
+  group: '단체여행',
+};
+
+const CONFIDENCE_THRESHOLD = Number(process.env.CLASSIFIER_CONFIDENCE_THRESHOLD ?? 0.5);
+const TOP_K = Number(process.env.CLASSIFIER_TOP_K) || 3;
+const DEFAULT_LABEL_THRESHOLD = Number(process.env.CLASSIFIER_LABEL_THRESHOLD ?? 0.3);
+
+// 라벨별 기준 (JSON, 영문 라벨 또는 한글 카테고리로 지정) 예) {"food":0.25,"커플여행":0.35}
+function loadLabelThresholds() {
+  if (!process.env.CLASSIFIER_LABEL_THRESHOLDS) return {};
+  try {
+    return JSON.parse(process.env.CLASSIFIER_LABEL_THRESHOLDS);
+  } catch (err) {
+    console.warn('⚠️ CLASSIFIER_LABEL_THRESHOLDS 파싱 실패, 기본값을 사용합니다.');
+    return {};
+  }
+}
+
+const LABEL_THRESHOLDS = loadLabelThresholds();
+
+function toCategory(label) {
+  return CATEGORY_LABELS[label] || null;
+}
+
+// 한글 카테고리 → 영문 라벨
+function toLabel(category) {
+  return Object.keys(CATEGORY_LABELS).find(label => CATEGORY_LABELS[label] === category) || null;
+}
+
+function labelThreshold(label) {
+  return Number(LABEL_THRESHOLDS[label] ?? LABEL_THRESHOLDS[toCategory(label)] ?? DEFAULT_LABEL_THRESHOLD);
+}
+
+/**
+ * 워커 응답 → 저장용 분류 결과
+ * {
+ *   status, category: 1등 카테고리, confidence: 1등 확률, threshold,
+ *   categories: [{ category, label, score }] (기준을 넘은 카테고리, 점수 순),
+ *   probabilities: { 한글 카테고리: 확률 }, top: [{ category, label, probability }], multiLabel, model, modelVersion, classifiedAt
+ * }
+ */
+function toPrediction(result) {
+  const top = (result.top || []).map(({ label, probability }) => ({ category: toCategory(label), label, probability }));
+  const confidence = top[0]?.probability ?? 0;
+
+  const ranked = Object.entries(result.probabilities || {})
+    .filter(([label]) => toCategory(label))
+    .sort((a, b) => b[1] - a[1]);
+  const selected = ranked.filter(([label, probability]) => probability >= labelThreshold(label));
+  const categories = (selected.length > 0 ? selected : ranked.slice(0, 1))
+    .map(([label, score]) => ({ category: toCategory(label), label, score }));
+
+  return {
+    status: confidence >= CONFIDENCE_THRESHOLD ? 'confident' : 'uncertain',
+    category: toCategory(result.label),
+    confidence,
+    threshold: CONFIDENCE_THRESHOLD,
+    categories,
+    probabilities: Object.fromEntries(ranked.map(([label, probability]) => [toCategory(label), probability])),
+    top,
+    multiLabel: result.multiLabel === true,
+    model: result.model || null,
+    modelVersion: result.modelVersion || null,
+    classifiedAt: new Date(),
+  };
+}
+
+function failedPrediction(err) {
+  return {
+    status: 'failed',
+    category: null,
+    error: err.code || 'error',
+    message: err.message,
+    classifiedAt: new Date(),
+  };
+}
+
+/**
+ * 다이어리에 저장할 카테고리 점수 { 한글 카테고리: 점수 }
+ */
+function categoryScores(prediction) {
+  return Object.fromEntries((prediction.categories || []).map(({ category, score }) => [category, score]));
+}
+
+/**
+ * 레이아웃 추천에 쓸 카테고리 목록 [{ category, probability }] (확률 순)
+ * 기준을 넘은 카테고리 전부 + 확신하지 못하면 상위 count개까지 추가
+ */
+function candidateCategories(prediction, count = 2) {
+  if (!prediction || prediction.status === 'failed') return [];
+
+  const candidates = new Map();
+  for (const { category, score } of prediction.categories || []) {
+    candidates.set(category, score);
+  }
+  if (prediction.status === 'uncertain') {
+    for (const { category, probability } of (prediction.top || []).slice(0, count)) {
+      if (category && !candidates.has(category)) candidates.set(category, probability);
+    }
+  }
+
+  return [...candidates.entries()]
+    .map(([category, probability]) => ({ category, probability }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+module.exports = {
+  CATEGORY_LABELS,
+  TOP_K,
+  toLabel,
+  toPrediction,
+  failedPrediction,
+  categoryScores,
+  candidateCategories
+};
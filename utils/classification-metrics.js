@@ -0,0 +1,76 @@
+// 분류 성능 지표 (정답 / 예측 쌍 → 혼동 행렬, 정확도, 클래스별 precision / recall / F1)
+// 혼동 행렬은 행 = 정답, 열 = 예측 (matrix[정답][예측])
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : 0;
+}
+
+/**
+ * pairs: [{ actual, predicted }], labels: 라벨 순서
+ * labels에 없는 라벨이 들어간 쌍은 세지 않고 skipped로 반환
+ */
+function confusionMatrix(pairs, labels) {
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  let skipped = 0;
+
+  for (const { actual, predicted } of pairs) {
+    if (!index.has(actual) || !index.has(predicted)) {
+      skipped += 1;
+      continue;
+    }
+    matrix[index.get(actual)][index.get(predicted)] += 1;
+  }
+
+  return { labels, matrix, skipped };
+}
+
+/**
+ * 정확도 + 클래스별 / 매크로 평균 precision, recall, F1
+ */
+function classificationReport(pairs, labels) {
+  const { matrix, skipped } = confusionMatrix(pairs, labels);
+  const total = matrix.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+  const correct = labels.reduce((sum, label, i) => sum + matrix[i][i], 0);
+
+  const perClass = {};
+  labels.forEach((label, i) => {
+    const truePositive = matrix[i][i];
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(truePositive, predictedCount);
+    const recall = ratio(truePositive, support);
+    perClass[label] = {
+      precision,
+      recall,
+      f1: precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : 0,
+      support,
+    };
+  });
+
+  // 정답에 한 번도 나오지 않은 라벨은 매크로 평균에서 제외
+  const present = labels.filter(label => perClass[label].support > 0);
+  const macro = ['precision', 'recall', 'f1'].reduce((result, metric) => ({
+    ...result,
+    [metric]: ratio(present.reduce((sum, label) => sum + perClass[label][metric], 0), present.length),
+  }), {});
+
+  return {
+    total,
+    skipped,
+    accuracy: ratio(correct, total),
+    macro,
+    perClass,
+    labels,
+    matrix,
+  };
+}
+
+module.exports = {
+  confusionMatrix,
+  classificationReport
+};
@@ -0,0 +1,363 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+
+// 카테고리 분류 워커 풀
+// category_worker.py를 미리 띄워 두고 모델을 한 번만 로드한 뒤 표준 입력/출력(한 줄에 JSON 하나)으로 요청을 주고받음
+// - 워커 하나는 한 번에 요청 하나만 처리 → 동시 처리 수 = CLASSIFIER_WORKERS
+// - 남는 요청은 CLASSIFIER_MAX_QUEUE개까지 대기, 넘치면 바로 실패
+// - 요청마다 제한 시간(대기 포함), 시간을 넘기면 워커를 다시 시작 (추론이 멈춘 것으로 봄)
+// - 워커가 죽으면 점점 긴 간격으로 다시 시작
+// - 쉬고 있는 워커에 주기적으로 ping을 보내 응답이 없으면 다시 시작
+// - 모델(utils/model-registry)이 여러 개면 모델마다 워커를 따로 띄우고 요청은 지정한 모델의 워커로만 보냄
+const PYTHON = process.env.CLASSIFIER_PYTHON || 'python';
+const WORKER_SCRIPT = path.join(__dirname, '..', 'category_worker.py');
+// 모델 하나당 워커 수
+const POOL_SIZE = Math.max(1, Number(process.env.CLASSIFIER_WORKERS) || 1);
+const MAX_QUEUE = Number(process.env.CLASSIFIER_MAX_QUEUE ?? 50);
+const REQUEST_TIMEOUT_MS = Number(process.env.CLASSIFIER_TIMEOUT_MS) || 15 * 1000;
+// 모델 로드는 수십 초 걸릴 수 있으므로 따로 제한
+const STARTUP_TIMEOUT_MS = Number(process.env.CLASSIFIER_STARTUP_TIMEOUT_MS) || 3 * 60 * 1000;
+const PROBE_INTERVAL_MS = Number(process.env.CLASSIFIER_PROBE_INTERVAL_MS) || 60 * 1000;
+const PROBE_TIMEOUT_MS = 5 * 1000;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 60 * 1000;
+
+const workers = [];
+const queue = [];
+let nextRequestId = 1;
+let probeTimer = null;
+let lastProbeAt = null;
+let stopping = false;
+// 모델을 지정하지 않은 요청이 가는 모델 (처음 시작한 모델)
+let defaultModel = null;
+
+function classifierError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function workerName(worker) {
+  return `분류 워커 #${worker.index} (${worker.model})`;
+}
+
+function log(worker, ...args) {
+  console.log(`🤖 ${workerName(worker)}:`, ...args);
+}
+
+// ============================================
+// 워커 생명주기
+// ============================================
+
+function startWorker(worker) {
+  worker.state = 'starting';
+  worker.modelLoaded = false;
+  worker.startedAt = new Date();
+
+  const child = spawn(PYTHON, [WORKER_SCRIPT], {
+    cwd: path.dirname(WORKER_SCRIPT),
+    env: { ...process.env, CLASSIFIER_MODEL_PATH: worker.modelPath, PYTHONIOENCODING: 'utf-8', PYTHONUNBUFFERED: '1' },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  worker.process = child;
+
+  worker.startupTimer = setTimeout(() => {
+    worker.lastError = `${STARTUP_TIMEOUT_MS / 1000}초 안에 시작하지 못했습니다.`;
+    log(worker, '⏰', worker.lastError);
+    child.kill('SIGKILL');
+  }, STARTUP_TIMEOUT_MS);
+
+  readline.createInterface({ input: child.stdout }).on('line', line => handleMessage(worker, child, line));
+  readline.createInterface({ input: child.stderr }).on('line', (line) => {
+    if (line.trim()) console.warn(`⚠️ ${workerName(worker)} stderr:`, line);
+  });
+
+  // 쓰는 도중 워커가 죽으면 EPIPE가 나므로 무시하고 exit 처리에 맡김
+  child.stdin.on('error', () => {});
+  child.on('error', (err) => {
+    worker.lastError = err.message;
+    log(worker, '❌ 실행 실패:', err.message);
+    // 실행 자체가 실패하면(python 없음 등) exit 이벤트가 오지 않으므로 직접 재시작 처리
+    if (child.pid === undefined) handleExit(worker, child, null, null);
+  });
+  child.on('exit', (code, signal) => handleExit(worker, child, code, signal));
+}
+
+function handleMessage(worker, child, line) {
+  if (worker.process !== child) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (err) {
+    console.warn(`⚠️ ${workerName(worker)} 알 수 없는 출력:`, line);
+    return;
+  }
+
+  if (message.type === 'ready') {
+    clearTimeout(worker.startupTimer);
+    worker.state = 'idle';
+    worker.modelLoaded = message.modelLoaded === true;
+    worker.labels = message.labels || [];
+    worker.modelVersion = message.modelVersion || null;
+    worker.lastError = message.error || null;
+    if (worker.modelLoaded) {
+      worker.failures = 0;
+      log(worker, `✅ 준비 완료 (pid ${child.pid}, 모델 로드 성공)`);
+    } else {
+      log(worker, `⚠️ 준비 완료 (pid ${child.pid}, 모델 로드 실패: ${message.error})`);
+    }
+    dispatch();
+    return;
+  }
+
+  const job = worker.job;
+  if (!job || message.id !== job.id) return;
+
+  clearTimeout(job.timer);
+  worker.job = null;
+  worker.state = 'idle';
+  if (message.error) {
+    job.reject(classifierError('model', message.error));
+  } else {
+    job.resolve(message);
+  }
+  dispatch();
+}
+
+function handleExit(worker, child, code, signal) {
+  if (worker.process !== child) return;
+
+  clearTimeout(worker.startupTimer);
+  worker.process = null;
+  worker.state = 'stopped';
+  worker.modelLoaded = false;
+
+  if (worker.job) {
+    const job = worker.job;
+    worker.job = null;
+    clearTimeout(job.timer);
+    job.reject(classifierError('crashed', `분류 워커가 종료되었습니다. (code ${code}, signal ${signal})`));
+  }
+
+  if (stopping) return;
+
+  worker.failures += 1;
+  worker.restarts += 1;
+  const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** (worker.failures - 1), RESTART_MAX_DELAY_MS);
+  log(worker, `💥 종료됨 (code ${code}, signal ${signal}) → ${delay / 1000}초 후 다시 시작`);
+  worker.restartTimer = setTimeout(() => {
+    worker.restartTimer = null;
+    if (!stopping) startWorker(worker);
+  }, delay);
+}
+
+function restartWorker(worker, reason) {
+  worker.lastError = reason;
+  log(worker, '🔄 다시 시작:', reason);
+  if (worker.process) worker.process.kill('SIGKILL');
+}
+
+// ============================================
+// 요청 처리
+// ============================================
+
+function send(worker, job) {
+  worker.job = job;
+  worker.state = 'busy';
+  worker.process.stdin.write(`${JSON.stringify({ id: job.id, ...job.payload })}\n`);
+}
+
+// 대기 중인 요청을 먼저 온 순서대로 같은 모델의 쉬고 있는 워커에 배정
+function dispatch() {
+  for (let i = 0; i < queue.length;) {
+    const job = queue[i];
+    const worker = workers.find(w => w.state === 'idle' && w.model === job.model);
+    if (worker) {
+      queue.splice(i, 1);
+      send(worker, job);
+    } else {
+      i += 1;
+    }
+  }
+}
+
+function request(payload, model, timeoutMs = REQUEST_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    if (stopping || !workers.some(worker => worker.model === model)) {
+      return reject(classifierError('unavailable', `분류 모델 "${model}"의 워커가 실행 중이 아닙니다.`));
+    }
+    if (queue.length >= MAX_QUEUE) {
+      return reject(classifierError('busy', '분류 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'));
+    }
+
+    const job = { id: nextRequestId++, model, payload, resolve, reject };
+    job.timer = setTimeout(() => {
+      const index = queue.indexOf(job);
+      if (index !== -1) {
+        queue.splice(index, 1);
+      } else {
+        const worker = workers.find(w => w.job === job);
+        if (worker) {
+          worker.job = null;
+          restartWorker(worker, `${timeoutMs / 1000}초 안에 응답하지 않았습니다.`);
+        }
+      }
+      reject(classifierError('timeout', '분류 시간이 초과되었습니다.'));
+    }, timeoutMs);
+
+    queue.push(job);
+    dispatch();
+  });
+}
+
+/**
+ * 텍스트 분류 (model: 모델 이름, 생략하면 기본 모델)
+ * 반환: { label, probabilities: { 라벨: 확률 }, top: [{ label, probability }] (상위 topK개), multiLabel, model, modelVersion }
+ * 실패하면 code가 붙은 Error (unavailable | busy | timeout | crashed | model)
+ */
+async function classify(text, { topK = 3, model = defaultModel } = {}) {
+  const { label, probabilities, top, multiLabel, modelVersion } = await request({ type: 'classify', text: String(text || ''), topK }, model);
+  return { label, probabilities, top, multiLabel: multiLabel === true, model, modelVersion };
+}
+
+// 쉬고 있는 워커에만 ping (처리 중인 워커는 요청 제한 시간이 대신 확인)
+async function probe() {
+  lastProbeAt = new Date();
+  await Promise.all(workers.filter(worker => worker.state === 'idle').map(async (worker) => {
+    const job = { id: nextRequestId++, model: worker.model, payload: { type: 'ping' } };
+    const pong = new Promise((resolve, reject) => Object.assign(job, { resolve, reject }));
+    job.timer = setTimeout(() => {
+      if (worker.job === job) {
+        worker.job = null;
+        restartWorker(worker, 'ping에 응답하지 않았습니다.');
+      }
+      job.reject(classifierError('timeout', 'ping 시간 초과'));
+    }, PROBE_TIMEOUT_MS);
+    send(worker, job);
+    await pong.catch(() => {});
+  }));
+}
+
+// ============================================
+// 시작 / 종료 / 상태
+// ============================================
+
+/**
+ * 모델마다 워커 시작 (models: [{ name, path }], 첫 번째가 기본 모델)
+ */
+function startClassifierPool(models) {
+  if (workers.length > 0 || models.length === 0) return;
+  stopping = false;
+  defaultModel = models[0].name;
+
+  let index = 1;
+  for (const model of models) {
+    for (let i = 0; i < POOL_SIZE; i++) {
+      const worker = {
+        index: index++,
+        model: model.name,
+        modelPath: model.path,
+        state: 'stopped',
+        process: null,
+        job: null,
+        failures: 0,
+        restarts: 0,
+        lastError: null,
+        labels: [],
+        modelVersion: null,
+      };
+      workers.push(worker);
+      startWorker(worker);
+    }
+  }
+  console.log(`🤖 분류 워커 시작 중: ${models.map(model => `${model.name} ×${POOL_SIZE}`).join(', ')} (모델 로드 후 준비 완료 표시)`);
+
+  probeTimer = setInterval(() => probe().catch(() => {}), PROBE_INTERVAL_MS);
+  probeTimer.unref();
+}
+
+function stopClassifierPool() {
+  stopping = true;
+  clearInterval(probeTimer);
+  for (const job of queue.splice(0)) {
+    clearTimeout(job.timer);
+    job.reject(classifierError('unavailable', '분류 워커가 종료되었습니다.'));
+  }
+  for (const worker of workers.splice(0)) {
+    clearTimeout(worker.startupTimer);
+    clearTimeout(worker.restartTimer);
+    // exit 이벤트가 나중에 와도 재시작하지 않도록 먼저 떼어 냄
+    const child = worker.process;
+    worker.process = null;
+    if (child) child.kill();
+  }
+}
+
+/**
+ * 시작 중인 워커가 모두 준비(또는 모델 로드 실패)될 때까지 대기 (평가 스크립트처럼 시작하자마자 쓰는 경우)
+ */
+async function waitForReady(timeoutMs = STARTUP_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (workers.some(worker => worker.state === 'starting') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return classifierHealth();
+}
+
+// status: ok (모델이 로드된 워커가 모두 준비) | degraded (일부만) | down (분류 불가)
+function poolStatus(poolWorkers) {
+  const usable = poolWorkers.filter(worker => worker.modelLoaded && ['idle', 'busy'].includes(worker.state));
+  if (usable.length === 0) return 'down';
+  return usable.length === poolWorkers.length ? 'ok' : 'degraded';
+}
+
+/**
+ * 상태 확인용 요약 (전체 + 모델별 status)
+ */
+function classifierHealth() {
+  const modelNames = [...new Set(workers.map(worker => worker.model))];
+  const models = modelNames.map((name) => {
+    const modelWorkers = workers.filter(worker => worker.model === name);
+    return {
+      name,
+      default: name === defaultModel,
+      status: poolStatus(modelWorkers),
+      modelVersion: modelWorkers.find(worker => worker.modelVersion)?.modelVersion || null,
+    };
+  });
+  // 기본 모델이 안 되면 down, A/B 모델만 안 되면 degraded
+  const defaultStatus = models.find(model => model.default)?.status || 'down';
+  const status = defaultStatus === 'ok' && models.some(model => model.status !== 'ok') ? 'degraded' : defaultStatus;
+
+  return {
+    status,
+    modelLoaded: status !== 'down',
+    queued: queue.length,
+    lastProbeAt,
+    models,
+    workers: workers.map(worker => ({
+      index: worker.index,
+      model: worker.model,
+      pid: worker.process?.pid ?? null,
+      state: worker.state,
+      modelLoaded: worker.modelLoaded,
+      modelVersion: worker.modelVersion,
+      startedAt: worker.startedAt,
+      restarts: worker.restarts,
+      lastError: worker.lastError,
+    })),
+  };
+}
+
+// 서버가 종료되면 워커도 함께 종료
+process.on('exit', stopClassifierPool);
+
+module.exports = {
+  startClassifierPool,
+  stopClassifierPool,
+  waitForReady,
+  classify,
+  classifierHealth
+};
@@ -0,0 +1,85 @@
+const { ObjectId } = require('mongodb');
+
+// 다이어리 접근 권한
+// owner: 다이어리를 만든 사람 (diary.userId)
+// editor / viewer: 초대받은 멤버 (diary.members: [{ userId, role, joinedAt, invitedBy }])
+// viewer < editor < owner 순으로 권한이 큼
+
+const DIARY_ROLES = ['viewer', 'editor', 'owner'];
+// 초대 / 역할 변경으로 줄 수 있는 역할 (owner는 넘기지 않음)
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+// 응답에 실을 필요가 없는 내부 필드 (검색 색인)
+const DIARY_HIDDEN_FIELDS = { searchTokens: 0, searchIndexedAt: 0 };
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let diariesCollection;
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+function initializeCollections(diaries) {
+  diariesCollection = diaries;
+}
+
+/**
+ * diaryId로 다이어리 조회 (ObjectId → 문자열 순서로 시도)
+ */
+async function findDiaryById(diaryId) {
+  let diary = null;
+
+  try {
+    diary = await diariesCollection.findOne({ _id: new ObjectId(diaryId) }, { projection: DIARY_HIDDEN_FIELDS });
+  } catch (e) {
+    console.log('⚠️ ObjectId 변환 실패, 문자열로 찾기');
+  }
+
+  if (!diary) {
+    diary = await diariesCollection.findOne({ _id: diaryId }, { projection: DIARY_HIDDEN_FIELDS });
+  }
+
+  return diary;
+}
+
+/**
+ * 다이어리에서 사용자의 역할 (owner | editor | viewer, 멤버가 아니면 null)
+ */
+function diaryRole(diary, userId) {
+  if (!diary || !userId) return null;
+  if (diary.userId === userId) return 'owner';
+  const member = (diary.members || []).find(m => m.userId === userId);
+  return member ? member.role : null;
+}
+
+function hasDiaryRole(diary, userId, role) {
+  const myRole = diaryRole(diary, userId);
+  return Boolean(myRole) && DIARY_ROLES.indexOf(myRole) >= DIARY_ROLES.indexOf(role);
+}
+
+/**
+ * 호출자가 role 이상의 권한을 가진 다이어리만 반환 (권한이 없으면 존재 여부도 노출하지 않음)
+ * 휴지통에 있는 다이어리는 trashed: true 로 찾을 때만 반환
+ */
+async function findAccessibleDiary(diaryId, userId, role = 'viewer', { trashed = false } = {}) {
+  const diary = await findDiaryById(diaryId);
+  if (!diary || !hasDiaryRole(diary, userId, role)) return null;
+  if (Boolean(diary.deletedAt) !== trashed) return null;
+  return diary;
+}
+
+/**
+ * 사용자가 소유했거나 멤버인 다이어리 조건
+ */
+function accessibleDiaryFilter(userId) {
+  return { $or: [{ userId }, { 'members.userId': userId }] };
+}
+
+module.exports = {
+  DIARY_ROLES,
+  MEMBER_ROLES,
+  DIARY_HIDDEN_FIELDS,
+  initializeCollections,
+  findDiaryById,
+  diaryRole,
+  hasDiaryRole,
+  findAccessibleDiary,
+  accessibleDiaryFilter
+};
@@ -0,0 +1,124 @@
+// 다이어리 본문(content) 변경 이력
+// 사용자 수정 / AI 작성 / 복원 모두 revision으로 쌓고, 다이어리에는 현재 revision 번호를 기록
+
+// MongoDB 컬렉션 참조 (server.js에서 설정된 후 사용)
+let diariesCollection;
+let revisionsCollection;
+
+// 컬렉션 초기화 함수 (server.js에서 호출)
+function initializeCollections(diaries, revisions) {
+  diariesCollection = diaries;
+  revisionsCollection = revisions;
+}
+
+// revision을 만든 주체
+const REVISION_SOURCES = ['initial', 'user', 'ai', 'restore'];
+
+// 다이어리별 revision 번호를 1씩 올려서 받음 (동시에 저장해도 번호가 겹치지 않음)
+async function nextRevisionNumber(diaryId) {
+  const diary = await diariesCollection.findOneAndUpdate(
+    { _id: diaryId },
+    { $inc: { revisionCount: 1 } },
+    { returnDocument: 'after', projection: { revisionCount: 1 } }
+  );
+  return diary.revisionCount;
+}
+
+async function insertRevision(diary, { content, source, author, aiResultId, restoredFrom }) {
+  const revision = {
+    diaryId: diary._id,
+    userId: diary.userId,
+    revisionNumber: await nextRevisionNumber(diary._id),
+    source,
+    author: author || null,
+    content: content || '',
+    ...(aiResultId && { aiResultId }),
+    ...(restoredFrom && { restoredFrom }),
+    createdAt: new Date(),
+  };
+  await revisionsCollection.insertOne(revision);
+  return revision;
+}
+
+/**
+ * 본문 변경을 revision으로 저장하고 다이어리의 현재 revision 갱신
+ * 이력이 없던 예전 다이어리는 기존 본문을 먼저 'initial' revision으로 남김
+ * author: { userId, username }, source: user | ai | restore
+ */
+async function recordRevision(diary, { content, source, author, aiResultId, restoredFrom }) {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`알 수 없는 revision 종류: ${source}`);
+  }
+
+  if (!diary.revisionCount && diary.content) {
+    await insertRevision(diary, {
+      content: diary.content,
+      source: 'initial',
+      author: { userId: diary.userId },
+    });
+  }
+
+  const revision = await insertRevision(diary, { content, source, author, aiResultId, restoredFrom });
+
+  // 늦게 끝난 요청이 더 최신 revision을 덮어쓰지 않도록 번호가 클 때만 반영
+  await diariesCollection.updateOne(
+    {
+      _id: diary._id,
+      $or: [{ currentRevision: { $exists: false } }, { currentRevision: { $lt: revision.revisionNumber } }],
+    },
+    { $set: { currentRevision: revision.revisionNumber } }
+  );
+
+  return revision;
+}
+
+function summarizeRevision(revision, currentRevision) {
+  const { _id, content, diaryId, userId, ...meta } = revision;
+  return {
+    ...meta,
+    current: revision.revisionNumber === currentRevision,
+    length: (content || '').length,
+    preview: (content || '').slice(0, 100),
+  };
+}
+
+async function listRevisions(diaryId) {
+  return revisionsCollection
+    .find({ diaryId })
+    .sort({ revisionNumber: -1 })
+    .toArray();
+}
+
+async function findRevision(diaryId, revisionNumber) {
+  return revisionsCollection.findOne({ diaryId, revisionNumber });
+}
+
+/**
+ * 상세 조회 응답에 넣을 현재 revision 정보 (이력이 없으면 null)
+ */
+async function currentRevisionInfo(diary) {
+  if (!diary.currentRevision) return null;
+  const revision = await revisionsCollection.findOne(
+    { diaryId: diary._id, revisionNumber: diary.currentRevision },
+    { projection: { content: 0 } }
+  );
+  if (!revision) return { revisionNumber: diary.currentRevision };
+
+  const { _id, diaryId, userId, ...meta } = revision;
+  return { ...meta, totalRevisions: diary.revisionCount || diary.currentRevision };
+}
+
+async function deleteRevisions(diaryIds) {
+  const result = await revisionsCollection.deleteMany({ diaryId: { $in: diaryIds } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  initializeCollections,
+  recordRevision,
+  summarizeRevision,
+  listRevisions,
+  findRevision,
+  currentRevisionInfo,
+  deleteRevisions
+};
@@ -0,0 +1,153 @@
+const exifr = require('exifr');
+
+// JPEG / HEIC / HEIF / PNG / TIFF 의 EXIF 읽기
+// reviveValues: false → 날짜를 서버 시간대로 해석하지 않도록 원본 문자열 그대로 받음
+// translateValues: false → Orientation 등을 숫자 그대로 받음
+const EXIF_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  reviveValues: false,
+  translateValues: false,
+};
+
+// 촬영 시각 후보 (앞에서부터 사용) 와 짝이 되는 시간대 태그
+const DATE_TAGS = [
+  ['CreateDate', 'OffsetTimeDigitized'],
+  ['DateTimeOriginal', 'OffsetTimeOriginal'],
+  ['ModifyDate', 'OffsetTime'],
+];
+
+// "2024:05:01 23:30:00" → "2024-05-01T23:30:00"
+function parseExifDateTime(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  if (year === '0000') return null;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+// "+09:00" → 540 (분)
+function parseOffset(value) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// 시간대 태그가 없는 사진은 GPS 시각(UTC)과 촬영 시각의 차이로 시간대 추정 (15분 단위)
+function offsetFromGps(tags, localDateTime) {
+  const gpsDate = parseExifDateTime(`${tags.GPSDateStamp} 00:00:00`);
+  const time = tags.GPSTimeStamp;
+  if (!gpsDate || !Array.isArray(time) || time.length < 3) return null;
+
+  const gpsUtc = Date.parse(`${gpsDate.slice(0, 10)}T00:00:00Z`)
+    + ((time[0] * 60 + time[1]) * 60 + Math.floor(time[2])) * 1000;
+  const localAsUtc = Date.parse(`${localDateTime}Z`);
+  const minutes = Math.round((localAsUtc - gpsUtc) / 60000 / 15) * 15;
+
+  return Math.abs(minutes) <= 14 * 60 ? minutes : null;
+}
+
+function resolveDate(tags) {
+  for (const [dateTag, offsetTag] of DATE_TAGS) {
+    const localDateTime = parseExifDateTime(tags[dateTag]);
+    if (!localDateTime) continue;
+
+    let offsetMinutes = parseOffset(tags[offsetTag]);
+    if (offsetMinutes === null) {
+      offsetMinutes = DATE_TAGS.map(([, tag]) => parseOffset(tags[tag])).find(offset => offset !== null) ?? null;
+    }
+    if (offsetMinutes === null) {
+      offsetMinutes = offsetFromGps(tags, localDateTime);
+    }
+
+    // 시간대를 모르면 현지 시각을 UTC로 간주 (예전 exif-parser와 같은 방식)
+    const utcMs = Date.parse(`${localDateTime}Z`) - (offsetMinutes || 0) * 60000;
+
+    return {
+      date: new Date(utcMs).toISOString(),
+      localDateTime,
+      timezoneOffset: offsetMinutes === null ? null : formatOffset(offsetMinutes),
+    };
+  }
+
+  return { date: null, localDateTime: null, timezoneOffset: null };
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function textOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * 사진 EXIF 추출
+ * 반환: { success, latitude, longitude, hasGPS, altitude, direction, date(UTC ISO),
+ *         localDateTime(촬영지 현지 시각), timezoneOffset, orientation, cameraMake, cameraModel, lensModel }
+ */
+async function extractImgInfo(buffer) {
+  try {
+    const tags = await exifr.parse(buffer, EXIF_OPTIONS);
+    if (!tags) {
+      return { success: false, msg: 'EXIF 정보가 없는 사진입니다.' };
+    }
+
+    const latitude = numberOrNull(tags.latitude);
+    const longitude = numberOrNull(tags.longitude);
+
+    // GPSAltitudeRef 1 = 해수면 아래
+    let altitude = numberOrNull(tags.GPSAltitude);
+    const altitudeRef = tags.GPSAltitudeRef && tags.GPSAltitudeRef[0] !== undefined
+      ? tags.GPSAltitudeRef[0]
+      : tags.GPSAltitudeRef;
+    if (altitude !== null && altitudeRef === 1) altitude = -altitude;
+
+    return {
+      success: true,
+      latitude,
+      longitude,
+      hasGPS: latitude !== null && longitude !== null,
+      altitude,
+      direction: numberOrNull(tags.GPSImgDirection),
+      ...resolveDate(tags),
+      orientation: numberOrNull(tags.Orientation),
+      cameraMake: textOrNull(tags.Make),
+      cameraModel: textOrNull(tags.Model),
+      lensModel: textOrNull(tags.LensModel) || textOrNull(tags.LensMake),
+    };
+  } catch (error) {
+    console.error('EXIF img error:', error.message);
+    return { success: false, msg: '다른 사진을 입력하세요.' };
+  }
+}
+
+/**
+ * 촬영지 현지 시각의 시(hour)
+ * 예전 exif-parser로 저장된 문서는 현지 시각이 UTC로 들어가 있으므로 getUTCHours 사용
+ */
+function localHour(exifData) {
+  if (!exifData) return null;
+  if (exifData.localDateTime) {
+    return Number(exifData.localDateTime.slice(11, 13));
+  }
+  if (exifData.date) {
+    const date = new Date(exifData.date);
+    return Number.isNaN(date.getTime()) ? null : date.getUTCHours();
+  }
+  return null;
+}
+
+module.exports = {
+  extractImgInfo,
+  localHour
+};
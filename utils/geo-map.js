@@ -0,0 +1,229 @@
+const { distanceKm } = require('./geocoder');
+const { sortSlotsByTime, slotLocation, slotLocalDateTime, slotTravelDate } = require('./trip-structure');
+
+// 지도 화면용 GeoJSON 만들기
+// - 사진 지도: 위치 정보가 있는 사진을 줌 레벨에 맞게 서버에서 묶어서(cluster) 반환
+// - 여행 경로: 한 다이어리의 사진 위치를 촬영 시각 순으로 이은 LineString
+// GeoJSON 좌표 순서는 [경도, 위도]
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 20;
+const DEFAULT_ZOOM = 3;
+// 이 줌 이상에서는 묶지 않고 사진을 하나씩 반환
+const MAX_CLUSTER_ZOOM = 16;
+// 화면에서 이 거리(px) 안에 있는 사진은 하나로 묶음
+const CLUSTER_RADIUS_PX = 60;
+const TILE_SIZE = 256;
+// 클러스터마다 미리보기로 싣는 사진 수
+const CLUSTER_SAMPLE_SIZE = 4;
+
+function parseZoom(value) {
+  const zoom = Number(value);
+  if (value === undefined || value === '') return DEFAULT_ZOOM;
+  if (!Number.isInteger(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) return null;
+  return zoom;
+}
+
+/**
+ * "최소경도,최소위도,최대경도,최대위도" → { bbox } 또는 { error }
+ * 날짜변경선을 넘는 영역은 최소경도 > 최대경도로 표현
+ */
+function parseBbox(value) {
+  if (value === undefined || value === '') return { bbox: null };
+  const parts = String(value).split(',').map(Number);
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (
+    parts.length !== 4 || !parts.every(Number.isFinite)
+    || minLat > maxLat || minLat < -90 || maxLat > 90
+    || minLon < -180 || maxLon > 180 || maxLon < -180 || minLon > 180
+  ) {
+    return { error: 'bbox는 "최소경도,최소위도,최대경도,최대위도" 형식이어야 합니다.' };
+  }
+  return { bbox: { minLon, minLat, maxLon, maxLat } };
+}
+
+function inBbox(location, bbox) {
+  if (!bbox) return true;
+  if (location.latitude < bbox.minLat || location.latitude > bbox.maxLat) return false;
+  return bbox.minLon <= bbox.maxLon
+    ? location.longitude >= bbox.minLon && location.longitude <= bbox.maxLon
+    : location.longitude >= bbox.minLon || location.longitude <= bbox.maxLon;
+}
+
+// from / to (YYYY-MM-DD, 여행 날짜 기준) 범위 안의 사진인지
+// 범위가 주어지면 촬영 시각을 모르는 사진은 제외
+function inDateRange(slot, { from, to } = {}) {
+  if (!from && !to) return true;
+  const date = slotTravelDate(slot);
+  if (!date) return false;
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+function isStoredPhoto(slot) {
+  return slot.id && !String(slot.id).startsWith('temp');
+}
+
+function photoPoint(diary, slot, location) {
+  return {
+    photoId: String(slot.id),
+    diaryId: diary._id.toString(),
+    diaryTitle: diary.title || null,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    takenAt: slot.undated ? null : new Date(slot.timestamp).toISOString(),
+    localDateTime: slot.undated ? null : slotLocalDateTime(slot),
+    place: slot.place || null,
+  };
+}
+
+/**
+ * 다이어리 목록 → 위치 정보가 있는 사진 점 목록
+ */
+function collectPhotoPoints(diaries, { from, to, bbox } = {}) {
+  const points = [];
+  for (const diary of diaries) {
+    for (const slot of diary.photoSlots || []) {
+      const location = slotLocation(slot);
+      if (!location || !isStoredPhoto(slot)) continue;
+      if (!inDateRange(slot, { from, to }) || !inBbox(location, bbox)) continue;
+      points.push(photoPoint(diary, slot, location));
+    }
+  }
+  return points;
+}
+
+// 위경도 → 해당 줌의 웹 메르카토르 픽셀 좌표
+function project(point, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.min(Math.max(Math.sin(point.latitude * Math.PI / 180), -0.9999), 0.9999);
+  return {
+    x: (point.longitude + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+}
+
+function cellKey(point, zoom) {
+  const { x, y } = project(point, zoom);
+  return `${Math.floor(x / CLUSTER_RADIUS_PX)}:${Math.floor(y / CLUSTER_RADIUS_PX)}`;
+}
+
+function gridCluster(points, zoom) {
+  const cells = new Map();
+  for (const point of points) {
+    const key = cellKey(point, zoom);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+  }
+  return [...cells.values()];
+}
+
+// 클러스터를 눌렀을 때 이동할 줌: 사진들이 처음으로 둘 이상으로 나뉘는 줌
+function expansionZoom(points, zoom) {
+  for (let next = zoom + 1; next < MAX_CLUSTER_ZOOM; next++) {
+    if (gridCluster(points, next).length > 1) return next;
+  }
+  return MAX_CLUSTER_ZOOM;
+}
+
+function pointFeature(point, photoUrl) {
+  const { latitude, longitude, ...properties } = point;
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [longitude, latitude] },
+    properties: {
+      ...properties,
+      photoUrl: photoUrl ? photoUrl(point.photoId) : null,
+    },
+  };
+}
+
+function clusterFeature(points, zoom, photoUrl) {
+  const latitude = points.reduce((sum, point) => sum + point.latitude, 0) / points.length;
+  const longitude = points.reduce((sum, point) => sum + point.longitude, 0) / points.length;
+  const lats = points.map(point => point.latitude);
+  const lons = points.map(point => point.longitude);
+  const samples = points.slice(0, CLUSTER_SAMPLE_SIZE);
+
+  return {
+    type: 'Feature',
+    bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)],
+    geometry: { type: 'Point', coordinates: [longitude, latitude] },
+    properties: {
+      cluster: true,
+      pointCount: points.length,
+      expansionZoom: expansionZoom(points, zoom),
+      diaryIds: [...new Set(points.map(point => point.diaryId))],
+      photoIds: samples.map(point => point.photoId),
+      photoUrl: photoUrl ? photoUrl(samples[0].photoId) : null,
+    },
+  };
+}
+
+/**
+ * 사진 점 목록 → 줌 레벨에 맞게 묶은 FeatureCollection
+ * 사진이 하나뿐인 칸과 MAX_CLUSTER_ZOOM 이상은 사진 점 그대로 반환
+ * photoUrl: photoId → 미리보기 URL
+ */
+function buildPhotoCollection(points, { zoom = DEFAULT_ZOOM, photoUrl } = {}) {
+  // 최근 사진이 클러스터 미리보기로 오도록 정렬
+  const sorted = [...points].sort((a, b) => (b.takenAt || '').localeCompare(a.takenAt || ''));
+  const groups = zoom >= MAX_CLUSTER_ZOOM ? sorted.map(point => [point]) : gridCluster(sorted, zoom);
+
+  return {
+    type: 'FeatureCollection',
+    features: groups.map(group => (group.length === 1
+      ? pointFeature(group[0], photoUrl)
+      : clusterFeature(group, zoom, photoUrl))),
+    properties: { zoom, photoCount: points.length, clustered: zoom < MAX_CLUSTER_ZOOM },
+  };
+}
+
+/**
+ * 다이어리 한 개의 이동 경로 FeatureCollection
+ * - LineString: 위치가 있는 사진을 촬영 시각 순으로 이은 선 (사진이 2장 이상일 때만)
+ * - Point: 경로 위의 각 사진 (order: 경로상 순서)
+ * 촬영 시각을 모르는 사진은 순서를 알 수 없으므로 경로에서 제외
+ */
+function buildRouteCollection(diary, { from, to, photoUrl } = {}) {
+  const slots = sortSlotsByTime(diary.photoSlots || [])
+    .filter(slot => !slot.undated && isStoredPhoto(slot) && slotLocation(slot))
+    .filter(slot => inDateRange(slot, { from, to }));
+  const points = slots.map(slot => photoPoint(diary, slot, slotLocation(slot)));
+
+  let totalKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    totalKm += distanceKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+
+  const features = points.map((point, index) => {
+    const feature = pointFeature(point, photoUrl);
+    feature.properties.order = index + 1;
+    return feature;
+  });
+
+  if (points.length >= 2) {
+    features.unshift({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: points.map(point => [point.longitude, point.latitude]) },
+      properties: {
+        diaryId: diary._id.toString(),
+        title: diary.title || null,
+        category: diary.category || [],
+        photoCount: points.length,
+        startTime: points[0].takenAt,
+        endTime: points[points.length - 1].takenAt,
+        distanceKm: Math.round(totalKm * 100) / 100,
+      },
+    });
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  parseZoom,
+  parseBbox,
+  collectPhotoPoints,
+  buildPhotoCollection,
+  buildRouteCollection
+};
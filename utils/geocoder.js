@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+// 오프라인 역지오코딩 (사진 GPS → 국가 / 지역 / 도시)
+// data/gazetteer 의 TSV 파일(GeoNames 형식 축약본)을 사용하며 외부 API 호출 없음
+// GAZETTEER_DIR 로 더 큰 데이터셋을 지정할 수 있음 (같은 컬럼 형식)
+const GAZETTEER_DIR = process.env.GAZETTEER_DIR || path.join(__dirname, '..', 'data', 'gazetteer');
+// 가장 가까운 도시가 이 거리보다 멀면 장소를 알 수 없는 것으로 처리
+const MAX_DISTANCE_KM = Number(process.env.GEOCODER_MAX_DISTANCE_KM) || 100;
+// 응답에 쓸 이름 언어: ko | en
+const GEOCODER_LANG = process.env.GEOCODER_LANG === 'en' ? 'en' : 'ko';
+
+const EARTH_RADIUS_KM = 6371;
+const CELL_DEGREES = 1;
+
+let gazetteer = null;
+
+function readTsv(fileName) {
+  return fs.readFileSync(path.join(GAZETTEER_DIR, fileName), 'utf8')
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => line.split('\t').map(value => value.trim()));
+}
+
+function cellKey(latitude, longitude) {
+  return `${Math.floor(latitude / CELL_DEGREES)}:${Math.floor(longitude / CELL_DEGREES)}`;
+}
+
+// 처음 사용할 때 한 번만 읽고 위경도 격자(1도 단위)로 색인
+function loadGazetteer() {
+  if (gazetteer) return gazetteer;
+
+  const countries = new Map();
+  for (const [code, nameEn, nameKo] of readTsv('countries.tsv')) {
+    countries.set(code, { en: nameEn, ko: nameKo || nameEn });
+  }
+
+  const cells = new Map();
+  let count = 0;
+  for (const [countryCode, regionEn, regionKo, nameEn, nameKo, lat, lon] of readTsv('cities.tsv')) {
+    const latitude = Number(lat);
+    const longitude = Number(lon);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+    const place = {
+      countryCode,
+      region: { en: regionEn, ko: regionKo || regionEn },
+      city: { en: nameEn, ko: nameKo || nameEn },
+      latitude,
+      longitude,
+    };
+    const key = cellKey(latitude, longitude);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(place);
+    count += 1;
+  }
+
+  console.log(`🗺️ 지명 데이터 로드: 도시 ${count}곳, 국가 ${countries.size}개`);
+  gazetteer = { countries, cells };
+  return gazetteer;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * 두 좌표 사이 거리 (km, 하버사인 공식)
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// 최대 거리 안에 들어올 수 있는 격자 칸만 후보로 확인
+function nearbyPlaces(cells, latitude, longitude) {
+  const latSpan = Math.ceil(MAX_DISTANCE_KM / 111 / CELL_DEGREES);
+  const lonScale = Math.max(Math.cos(toRadians(latitude)), 0.01);
+  const lonSpan = Math.min(Math.ceil(MAX_DISTANCE_KM / (111 * lonScale) / CELL_DEGREES), 180);
+
+  const baseLat = Math.floor(latitude / CELL_DEGREES);
+  const baseLon = Math.floor(longitude / CELL_DEGREES);
+  const places = [];
+  for (let dLat = -latSpan; dLat <= latSpan; dLat++) {
+    for (let dLon = -lonSpan; dLon <= lonSpan; dLon++) {
+      const candidates = cells.get(`${baseLat + dLat}:${baseLon + dLon}`);
+      if (candidates) places.push(...candidates);
+    }
+  }
+  return places;
+}
+
+/**
+ * 좌표 → { countryCode, country, region, city, distanceKm }
+ * 주변에 아는 도시가 없거나 좌표가 잘못되면 null
+ */
+function reverseGeocode(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  const { countries, cells } = loadGazetteer();
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const place of nearbyPlaces(cells, latitude, longitude)) {
+    const distance = distanceKm(latitude, longitude, place.latitude, place.longitude);
+    if (distance < nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  }
+
+  if (!nearest || nearestDistance > MAX_DISTANCE_KM) return null;
+
+  const country = countries.get(nearest.countryCode);
+  return {
+    countryCode: nearest.countryCode,
+    country: country ? country[GEOCODER_LANG] : nearest.countryCode,
+    region: nearest.region[GEOCODER_LANG],
+    city: nearest.city[GEOCODER_LANG],
+    distanceKm: Math.round(nearestDistance * 10) / 10,
+  };
+}
+
+function placeKey(place) {
+  return `${place.countryCode}|${place.region}|${place.city}`;
+}
+
+/**
+ * 사진별 장소 목록 → 다이어리 전체 장소 요약
+ * place: 가장 많이 찍힌 도시, places: 방문한 도시별 사진 수 (많은 순)
+ */
+function summarizePlaces(places) {
+  const counts = new Map();
+  for (const place of places) {
+    if (!place) continue;
+    const key = placeKey(place);
+    if (!counts.has(key)) {
+      const { countryCode, country, region, city } = place;
+      counts.set(key, { countryCode, country, region, city, photoCount: 0 });
+    }
+    counts.get(key).photoCount += 1;
+  }
+
+  const summary = [...counts.values()].sort((a, b) => b.photoCount - a.photoCount);
+  if (summary.length === 0) {
+    return { place: null, places: [] };
+  }
+
+  const { photoCount, ...place } = summary[0];
+  return { place, places: summary };
+}
+
+module.exports = {
+  reverseGeocode,
+  summarizePlaces,
+  distanceKm
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Google 공개키(JWKS) 위치
+// GOOGLE_JWKS_FILE이 있으면 로컬 파일을 사용 (테스트에서 직접 만든 키로 서명한 토큰 검증용)
+const GOOGLE_JWKS_URI = process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_JWKS_FILE = process.env.GOOGLE_JWKS_FILE;
+
+// 허용할 audience (프론트엔드 OAuth 클라이언트 ID, 쉼표로 여러 개 가능)
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_ID || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// JWKS 캐시 (Google은 키를 주기적으로 교체하므로 1시간마다 갱신)
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+let cachedKeys = null;
+let cachedAt = 0;
+
+async function loadJwks() {
+  if (GOOGLE_JWKS_FILE) {
+    return JSON.parse(fs.readFileSync(GOOGLE_JWKS_FILE, 'utf8')).keys || [];
+  }
+
+  const response = await fetch(GOOGLE_JWKS_URI, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`JWKS 조회 실패 (HTTP ${response.status})`);
+  }
+  const body = await response.json();
+  return body.keys || [];
+}
+
+async function getSigningKey(kid) {
+  const isStale = !cachedKeys || Date.now() - cachedAt > JWKS_CACHE_MS;
+  // 모르는 kid면 키가 교체됐을 수 있으므로 한 번 다시 받아옴
+  if (isStale || !cachedKeys.some(key => key.kid === kid)) {
+    cachedKeys = await loadJwks();
+    cachedAt = Date.now();
+  }
+
+  const jwk = cachedKeys.find(key => key.kid === kid);
+  if (!jwk) {
+    throw new Error('ID 토큰 서명 키를 찾을 수 없습니다.');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Google ID 토큰 검증 (서명, audience, issuer, 만료)
+ * 성공 시 토큰 payload 반환 (sub, email, email_verified, name, picture ...)
+ */
+async function verifyGoogleIdToken(idToken) {
+  if (GOOGLE_CLIENT_IDS.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID가 설정되지 않았습니다.');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('잘못된 형식의 ID 토큰입니다.');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  const payload = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    audience: GOOGLE_CLIENT_IDS,
+    issuer: GOOGLE_ISSUERS,
+  });
+
+  if (!payload.sub) {
+    throw new Error('ID 토큰에 사용자 식별자(sub)가 없습니다.');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  verifyGoogleIdToken
+};
@@ -0,0 +1,107 @@
+const sharp = require('sharp');
+const { pipeline } = require('stream');
+const { getBlobStore } = require('./blob-store');
+
+// 리사이즈 버전 (긴 변 기준 최대 픽셀)
+// original은 업로드한 파일 그대로 (EXIF 포함 원본 보존)
+const VARIANT_SIZES = {
+  thumbnail: 320,
+  medium: 1280,
+};
+const VARIANT_NAMES = [...Object.keys(VARIANT_SIZES), 'original'];
+
+function parseVariantName(size, fallback = 'original') {
+  return VARIANT_NAMES.includes(size) ? size : fallback;
+}
+
+/**
+ * 문서(이미지 / 인쇄 페이지)가 가진 모든 저장소 파일 id (원본 + 리사이즈 버전)
+ */
+function storedBlobIds(doc) {
+  if (!doc) return [];
+  const variantIds = Object.values(doc.variants || {}).map(variant => variant.blobId);
+  return [doc.blobId, ...variantIds].filter(Boolean);
+}
+
+// 원본을 sharp 입력으로 연결 (저장소 파일이면 스트림, 예전 base64 문서면 Buffer)
+function createSourcePipeline({ blobId, imageData }) {
+  // rotate(): EXIF Orientation대로 회전 후 Orientation 태그 제거
+  if (imageData) {
+    return sharp(Buffer.from(imageData, 'base64'), { failOn: 'none' }).rotate();
+  }
+
+  const base = sharp({ failOn: 'none' }).rotate();
+  pipeline(getBlobStore().createReadStream(blobId), base, (err) => {
+    if (err) base.destroy(err);
+  });
+  return base;
+}
+
+/**
+ * 썸네일 / 중간 크기 버전 생성 후 저장소에 저장
+ * 반환: { thumbnail: { blobId, size, etag, mimeType, width, height }, medium: {...} }
+ */
+async function generateVariants(source, metadata = {}) {
+  const base = createSourcePipeline(source);
+  const store = getBlobStore();
+
+  const results = await Promise.allSettled(
+    Object.entries(VARIANT_SIZES).map(async ([name, maxSize]) => {
+      const resized = base
+        .clone()
+        .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80, mozjpeg: true });
+
+      let info = {};
+      resized.on('info', (outputInfo) => { info = outputInfo; });
+
+      const blob = await store.put(resized, {
+        contentType: 'image/jpeg',
+        metadata: { ...metadata, variant: name },
+      });
+
+      return [name, {
+        blobId: blob.id,
+        size: blob.size,
+        etag: blob.etag,
+        mimeType: 'image/jpeg',
+        width: info.width,
+        height: info.height,
+      }];
+    })
+  );
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    // 일부만 만들어졌으면 정리하고 실패 처리
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        await store.delete(result.value[1].blobId);
+      }
+    }
+    throw failed.reason;
+  }
+
+  return Object.fromEntries(results.map(result => result.value));
+}
+
+/**
+ * 리사이즈 버전 생성 (실패해도 업로드 자체는 성공시키기 위해 null 반환)
+ * HEIC 등 디코딩할 수 없는 형식이면 원본만 사용
+ */
+async function tryGenerateVariants(source, metadata = {}) {
+  try {
+    return await generateVariants(source, metadata);
+  } catch (err) {
+    console.error('⚠️ 썸네일 생성 실패 (원본만 사용):', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  VARIANT_NAMES,
+  parseVariantName,
+  storedBlobIds,
+  generateVariants,
+  tryGenerateVariants
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// 메일 전송 방식 (console | file | smtp)
+// 로컬 개발에서는 console/file로 실제 메일 없이 링크를 확인할 수 있음
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Travely <no-reply@travely.app>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// 콘솔 출력
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 [메일] to=${message.to} subject=${message.subject}\n${message.text}`);
+  }
+};
+
+// 파일로 저장 (mail-outbox/에 JSON 파일 1개씩)
+const fileTransport = {
+  async send(message) {
+    if (!fs.existsSync(MAIL_FILE_DIR)) {
+      fs.mkdirSync(MAIL_FILE_DIR, { recursive: true });
+    }
+    const fileName = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    fs.writeFileSync(path.join(MAIL_FILE_DIR, fileName), JSON.stringify(message, null, 2));
+    console.log(`📧 메일 파일 저장: ${fileName}`);
+  }
+};
+
+// 실제 SMTP 전송 (nodemailer)
+let smtpTransporter;
+const smtpTransport = {
+  async send(message) {
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+// 테스트 등에서 직접 만든 transport로 교체할 수 있도록 열어둠
+let activeTransport = transports[MAIL_TRANSPORT];
+if (!activeTransport) {
+  console.warn(`⚠️ 알 수 없는 MAIL_TRANSPORT "${MAIL_TRANSPORT}", console로 대체합니다.`);
+  activeTransport = consoleTransport;
+}
+
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * 메일 전송
+ */
+async function sendMail({ to, subject, text }) {
+  await activeTransport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  setTransport
+};
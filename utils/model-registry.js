@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 분류 모델 레지스트리
+// 모델 폴더(config.json + 가중치)를 CLASSIFIER_MODELS_DIR 아래에 이름별로 나란히 설치
+//   models/
+//     2025-01-bert/      ← 폴더 이름이 모델 이름
+//     2025-03-bert/
+// 예전부터 쓰던 diary_category_model 폴더도 같은 이름으로 등록
+// - CLASSIFIER_ACTIVE_MODEL: 기본으로 쓸 모델 (없으면 diary_category_model)
+// - CLASSIFIER_AB_MODEL / CLASSIFIER_AB_RATIO: A/B 테스트할 모델과 그 모델로 보낼 비율(0~1)
+//   같은 다이어리는 항상 같은 모델로 가도록 다이어리 id 해시로 나눔
+const MODELS_DIR = process.env.CLASSIFIER_MODELS_DIR || path.join(__dirname, '..', 'models');
+const LEGACY_MODEL_NAME = 'diary_category_model';
+const LEGACY_MODEL_DIR = path.join(__dirname, '..', LEGACY_MODEL_NAME);
+
+function isModelDir(dir) {
+  return fs.existsSync(path.join(dir, 'config.json'));
+}
+
+function describe(name, dir) {
+  return {
+    name,
+    path: dir,
+    hasWeights: fs.existsSync(path.join(dir, 'model.safetensors')) || fs.existsSync(path.join(dir, 'pytorch_model.bin')),
+    installedAt: fs.statSync(path.join(dir, 'config.json')).mtime,
+  };
+}
+
+/**
+ * 설치된 모델 목록 [{ name, path, hasWeights, installedAt }]
+ */
+function listModels() {
+  const models = [];
+  if (isModelDir(LEGACY_MODEL_DIR)) {
+    models.push(describe(LEGACY_MODEL_NAME, LEGACY_MODEL_DIR));
+  }
+  if (fs.existsSync(MODELS_DIR)) {
+    for (const entry of fs.readdirSync(MODELS_DIR, { withFileTypes: true })) {
+      const dir = path.join(MODELS_DIR, entry.name);
+      if (entry.isDirectory() && entry.name !== LEGACY_MODEL_NAME && isModelDir(dir)) {
+        models.push(describe(entry.name, dir));
+      }
+    }
+  }
+  return models;
+}
+
+function findModel(name) {
+  return listModels().find(model => model.name === name) || null;
+}
+
+/**
+ * 지금 설정된 모델 { active, candidate, ratio }
+ * 설정한 모델이 설치되어 있지 않으면 경고하고 기본 모델 / A/B 없음으로 대체
+ */
+function modelConfig() {
+  const activeName = process.env.CLASSIFIER_ACTIVE_MODEL || LEGACY_MODEL_NAME;
+  let active = findModel(activeName);
+  if (!active) {
+    console.warn(`⚠️ 분류 모델 "${activeName}"이(가) 설치되어 있지 않습니다. ${LEGACY_MODEL_NAME}을(를) 사용합니다.`);
+    active = { name: LEGACY_MODEL_NAME, path: LEGACY_MODEL_DIR, hasWeights: false, installedAt: null };
+  }
+
+  const candidateName = process.env.CLASSIFIER_AB_MODEL;
+  const candidate = candidateName ? findModel(candidateName) : null;
+  if (candidateName && !candidate) {
+    console.warn(`⚠️ A/B 테스트 모델 "${candidateName}"이(가) 설치되어 있지 않아 A/B 테스트를 끕니다.`);
+  }
+
+  const ratio = Math.min(Math.max(Number(process.env.CLASSIFIER_AB_RATIO ?? 0.1), 0), 1);
+  return {
+    active,
+    candidate: candidate && candidate.name !== active.name ? candidate : null,
+    ratio: candidate ? ratio : 0,
+  };
+}
+
+/**
+ * 요청에 쓸 모델 고르기 → { model: 모델 이름, arm: 'control' | 'candidate' | null }
+ * key(다이어리 id)가 같으면 항상 같은 쪽으로, key가 없으면 무작위
+ */
+function chooseModel(config, key) {
+  if (!config.candidate || config.ratio <= 0) {
+    return { model: config.active.name, arm: null };
+  }
+
+  const bucket = key === undefined || key === null
+    ? Math.random()
+    : crypto.createHash('sha256').update(String(key)).digest().readUInt32BE(0) / 2 ** 32;
+  return bucket < config.ratio
+    ? { model: config.candidate.name, arm: 'candidate' }
+    : { model: config.active.name, arm: 'control' };
+}
+
+module.exports = {
+  listModels,
+  findModel,
+  modelConfig,
+  chooseModel
+};
@@ -0,0 +1,107 @@
+const { ObjectId } = require('mongodb');
+
+// 커서 기반 페이지네이션
+// 커서에는 마지막 문서의 정렬 값과 _id를 넣어 다음 페이지를 "그 다음부터" 조회 (skip 없이 일정한 속도)
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+}
+
+// Date / ObjectId 는 JSON으로 바꾸면 타입이 사라지므로 표시해서 저장
+function serialize(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+}
+
+// 커서는 클라이언트가 보내는 값이므로 문자열/숫자/불리언/null 과 $date/$oid 표시만 허용
+// (그 밖의 객체를 그대로 쿼리에 넣으면 {"$ne": null} 같은 연산자가 들어갈 수 있음)
+function deserialize(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+    if (keys.length === 1 && typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) {
+      return new ObjectId(value.$oid);
+    }
+  }
+  throw new Error('invalid cursor value');
+}
+
+// 점 표기법 경로로 값 읽기 (예: "itinerary.days.0.date")
+function readPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function encodeCursor(doc, sortField) {
+  const payload = { v: serialize(readPath(doc, sortField)), id: serialize(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * 커서 해석 (잘못된 커서면 null)
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || payload.id == null) return null;
+    return { value: deserialize(payload.v ?? null), id: deserialize(payload.id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 커서 다음 문서만 찾는 조건
+ * MongoDB 정렬에서 null/필드 없음은 가장 작은 값이므로 오름차순이면 맨 앞, 내림차순이면 맨 뒤
+ */
+function cursorFilter(cursor, sortField, direction) {
+  if (!cursor) return {};
+  const { value, id } = cursor;
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValueAfter = { [sortField]: value, _id: { [after]: id } };
+
+  if (value === null || value === undefined) {
+    return direction === 1
+      ? { $or: [{ [sortField]: { $ne: null } }, { [sortField]: null, _id: { [after]: id } }] }
+      : { [sortField]: null, _id: { [after]: id } };
+  }
+
+  const next = [{ [sortField]: { [after]: value } }, sameValueAfter];
+  if (direction === -1) next.push({ [sortField]: null });
+  return { $or: next };
+}
+
+/**
+ * limit + 1 개를 조회한 결과로 다음 페이지 정보 생성
+ * 반환: { items, pageInfo: { limit, hasMore, nextCursor } }
+ */
+function buildPage(docs, limit, sortField) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+    },
+  };
+}
+
+module.exports = {
+  parseLimit,
+  decodeCursor,
+  cursorFilter,
+  buildPage
+};
@@ -0,0 +1,203 @@
+// 다이어리 검색용 토큰화 / 점수 계산 / 하이라이트
+// 한국어는 띄어쓰기와 조사 때문에 단어 단위로는 잘 찾아지지 않으므로 한글은 글자 2-gram으로 색인
+// 예) "흑돼지를 먹었다" → 흑돼, 돼지, 지를 / 먹었, 었다  →  "흑돼지" 검색 시 흑돼, 돼지 로 매칭
+
+const HANGUL_RUN = /[ᄀ-ᇿ㄰-㆏가-힯]+/g;
+const WORD_RUN = /[\p{L}\p{N}]+/gu;
+
+// 다이어리 하나에 저장할 최대 토큰 수 (아주 긴 글이 문서 크기를 키우지 않도록)
+const MAX_TOKENS_PER_DIARY = 5000;
+
+// 필드별 가중치 (제목 / 장소 / 키워드에서 찾은 것이 본문보다 중요)
+const FIELD_WEIGHTS = {
+  title: 3,
+  places: 2,
+  keywords: 2,
+  content: 1,
+  aiContent: 1,
+};
+
+const SNIPPET_RADIUS = 40;
+
+function normalize(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+function hangulNgrams(run) {
+  if (run.length === 1) return [run];
+  const grams = [];
+  for (let i = 0; i < run.length - 1; i++) {
+    grams.push(run.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * 텍스트 → 검색 토큰 (한글: 2-gram, 그 외 문자/숫자: 단어 전체)
+ */
+function tokenize(text) {
+  const normalized = normalize(text);
+  const tokens = [];
+
+  for (const [run] of normalized.matchAll(HANGUL_RUN)) {
+    tokens.push(...hangulNgrams(run));
+  }
+
+  const withoutHangul = normalized.replace(HANGUL_RUN, ' ');
+  for (const [word] of withoutHangul.matchAll(WORD_RUN)) {
+    tokens.push(word);
+  }
+
+  return tokens;
+}
+
+function placeText(diary) {
+  const places = [diary.place, ...(diary.places || [])].filter(Boolean);
+  return places.map(place => [place.country, place.region, place.city].filter(Boolean).join(' ')).join(' ');
+}
+
+function keywordText(diary) {
+  return (diary.photoSlots || []).flatMap(slot => slot.keywords || []).join(' ');
+}
+
+/**
+ * 검색 대상 필드 모음 { title, content, aiContent, keywords, places }
+ */
+function searchableFields(diary, aiContent) {
+  return {
+    title: diary.title || '',
+    content: diary.content || '',
+    aiContent: aiContent || '',
+    keywords: keywordText(diary),
+    places: placeText(diary),
+  };
+}
+
+/**
+ * 다이어리에 저장할 토큰 목록 (중복 제거)
+ */
+function buildSearchTokens(fields) {
+  const tokens = new Set();
+  for (const text of Object.values(fields)) {
+    for (const token of tokenize(text)) {
+      if (tokens.size >= MAX_TOKENS_PER_DIARY) break;
+      tokens.add(token);
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * 검색어 분석: { tokens: 고유 토큰, terms: 공백 기준 검색어들, phrase: 정규화된 전체 검색어 }
+ */
+function parseQuery(query) {
+  const phrase = normalize(query).replace(/\s+/g, ' ').trim();
+  return {
+    phrase,
+    terms: phrase.split(' ').filter(Boolean),
+    tokens: [...new Set(tokenize(phrase))],
+  };
+}
+
+/**
+ * 점수 계산: 필드별 (검색 토큰 포함 비율 × 가중치) + 검색어 전체가 그대로 있으면 가산점
+ * 검색 토큰의 절반 이상이 어디에도 없으면 0 (관련 없는 결과 제외)
+ */
+function scoreFields(fields, parsed) {
+  if (parsed.tokens.length === 0) return 0;
+
+  const matched = new Set();
+  let score = 0;
+  for (const [field, text] of Object.entries(fields)) {
+    if (!text) continue;
+    const fieldTokens = new Set(tokenize(text));
+    const hits = parsed.tokens.filter(token => fieldTokens.has(token));
+    hits.forEach(token => matched.add(token));
+
+    const weight = FIELD_WEIGHTS[field] || 1;
+    score += weight * (hits.length / parsed.tokens.length);
+    if (parsed.phrase && normalize(text).replace(/\s+/g, ' ').includes(parsed.phrase)) {
+      score += weight;
+    }
+  }
+
+  if (matched.size / parsed.tokens.length < 0.5) return 0;
+  return Math.round(score * 1000) / 1000;
+}
+
+// 강조할 부분: 검색어 전체 → 각 검색어 → (한글) 2-gram 순으로 찾아서 구간 수집
+function findHighlightRanges(text, parsed) {
+  const lower = normalize(text);
+  const candidates = [parsed.phrase, ...parsed.terms];
+  for (const term of parsed.terms) {
+    if (!lower.includes(term)) {
+      candidates.push(...tokenize(term).filter(token => token.length > 1));
+    }
+  }
+
+  const ranges = [];
+  for (const candidate of new Set(candidates)) {
+    if (!candidate) continue;
+    let index = lower.indexOf(candidate);
+    while (index !== -1) {
+      ranges.push([index, index + candidate.length]);
+      index = lower.indexOf(candidate, index + candidate.length);
+    }
+  }
+
+  // 겹치는 구간 병합
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * 하이라이트 스니펫: 처음 찾은 위치 주변 글만 잘라서 반환
+ * 반환: { field, text, highlights: [[시작, 끝], ...] } (text 기준 위치) 또는 null
+ */
+function buildSnippet(field, text, parsed) {
+  if (!text) return null;
+  // NFKC 정규화로 길이가 바뀌는 문자가 있으면 위치가 어긋나므로 정규화한 글을 기준으로 자름
+  const source = String(text).normalize('NFKC');
+  const ranges = findHighlightRanges(source, parsed);
+  if (ranges.length === 0) return null;
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(source.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+
+  return {
+    field,
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]),
+  };
+}
+
+/**
+ * 필드별 스니펫 (제목/장소/키워드/본문 중 찾은 곳만)
+ */
+function buildSnippets(fields, parsed) {
+  return Object.entries(fields)
+    .map(([field, text]) => buildSnippet(field, text, parsed))
+    .filter(Boolean);
+}
+
+module.exports = {
+  tokenize,
+  searchableFields,
+  buildSearchTokens,
+  parseQuery,
+  scoreFields,
+  buildSnippets
+};
@@ -0,0 +1,96 @@
+// 두 글 사이의 차이 계산 (LCS 기반)
+// mode: line(줄 단위) | word(단어 단위, 공백 포함)
+
+// 단어 단위 비교에서 이보다 길면 계산량이 너무 커지므로 줄 단위로 비교
+const MAX_WORD_TOKENS = 3000;
+// LCS 표 칸 수 상한 (칸당 4바이트, 약 16MB) 넘으면 비교하지 않음
+const MAX_TABLE_CELLS = 4000000;
+
+function tokenize(text, mode) {
+  if (!text) return [];
+  return mode === 'word' ? text.split(/(\s+)/).filter(Boolean) : text.split(/(?<=\n)/);
+}
+
+// 공통 접두/접미를 먼저 떼고 가운데만 LCS 표로 비교 (표가 너무 크면 null)
+function diffTokens(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  if (rows * cols > MAX_TABLE_CELLS) return null;
+  const table = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(token => ['equal', token]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push(['equal', midA[i]]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push(['removed', midA[i++]]);
+    } else {
+      ops.push(['added', midB[j++]]);
+    }
+  }
+  while (i < midA.length) ops.push(['removed', midA[i++]]);
+  while (j < midB.length) ops.push(['added', midB[j++]]);
+  ops.push(...a.slice(a.length - suffix).map(token => ['equal', token]));
+
+  return ops;
+}
+
+/**
+ * 두 글 비교
+ * 반환: { mode, changes: [{ type: 'equal' | 'added' | 'removed', text }], stats: { added, removed } }
+ * 바뀐 부분이 너무 커서 비교할 수 없으면 null
+ */
+function diffText(before = '', after = '', mode = 'line') {
+  let effectiveMode = mode === 'word' ? 'word' : 'line';
+  let a = tokenize(before, effectiveMode);
+  let b = tokenize(after, effectiveMode);
+  if (effectiveMode === 'word' && Math.max(a.length, b.length) > MAX_WORD_TOKENS) {
+    effectiveMode = 'line';
+    a = tokenize(before, effectiveMode);
+    b = tokenize(after, effectiveMode);
+  }
+
+  const ops = diffTokens(a, b);
+  if (!ops) return null;
+
+  // 같은 종류가 이어지면 하나로 합침
+  const changes = [];
+  const stats = { added: 0, removed: 0 };
+  for (const [type, text] of ops) {
+    if (type !== 'equal' && text.trim()) stats[type] += 1;
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      changes.push({ type, text });
+    }
+  }
+
+  return { mode: effectiveMode, changes, stats };
+}
+
+module.exports = {
+  diffText
+};
@@ -0,0 +1,177 @@
+const { distanceKm, summarizePlaces } = require('./geocoder');
+
+// 여행 구조화 설정
+// - 하루의 시작 시각: 새벽 사진은 전날 일정으로 묶음 (기본 새벽 4시)
+// - 사진 사이 간격이 STOP_GAP_MINUTES 이상이거나 STOP_DISTANCE_KM 이상 떨어지면 다른 장소(stop)
+const DAY_START_HOUR = Number(process.env.TRIP_DAY_START_HOUR ?? 4);
+const STOP_GAP_MINUTES = Number(process.env.TRIP_STOP_GAP_MINUTES) || 60;
+const STOP_DISTANCE_KM = Number(process.env.TRIP_STOP_DISTANCE_KM) || 1;
+
+// 촬영지 현지 시각 ("YYYY-MM-DDTHH:mm:ss")
+// 예전 다이어리는 현지 시각이 없으므로 timestamp를 그대로 사용
+function slotLocalDateTime(slot) {
+  if (slot.exifData?.localDateTime) return slot.exifData.localDateTime;
+  return new Date(slot.timestamp).toISOString().slice(0, 19);
+}
+
+// 하루 시작 시각을 반영한 여행 날짜 ("YYYY-MM-DD")
+function travelDate(localDateTime) {
+  const shifted = new Date(Date.parse(`${localDateTime}Z`) - DAY_START_HOUR * 60 * 60 * 1000);
+  return shifted.toISOString().slice(0, 10);
+}
+
+function slotLocation(slot) {
+  const location = slot.exifData?.location;
+  return location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+    ? location
+    : null;
+}
+
+// 사진의 여행 날짜 (시각을 모르는 사진은 null)
+function slotTravelDate(slot) {
+  return isDated(slot) ? travelDate(slotLocalDateTime(slot)) : null;
+}
+
+function isDated(slot) {
+  return !slot.undated && Number.isFinite(slot.timestamp);
+}
+
+/**
+ * 사진을 촬영 시각 순으로 정렬 (시각을 모르는 사진은 원래 순서대로 맨 뒤)
+ */
+function sortSlotsByTime(photoSlots) {
+  return photoSlots
+    .map((slot, index) => ({ slot, index }))
+    .sort((a, b) => {
+      const aDated = isDated(a.slot);
+      const bDated = isDated(b.slot);
+      if (aDated && bDated && a.slot.timestamp !== b.slot.timestamp) return a.slot.timestamp - b.slot.timestamp;
+      if (aDated !== bDated) return aDated ? -1 : 1;
+      return a.index - b.index;
+    })
+    .map(({ slot }) => slot);
+}
+
+function startStop(slot) {
+  return { slots: [], gpsCount: 0, latSum: 0, lonSum: 0, lastTimestamp: slot.timestamp };
+}
+
+function addToStop(stop, slot) {
+  stop.slots.push(slot);
+  stop.lastTimestamp = slot.timestamp;
+  const location = slotLocation(slot);
+  if (location) {
+    stop.gpsCount += 1;
+    stop.latSum += location.latitude;
+    stop.lonSum += location.longitude;
+  }
+}
+
+function stopCenter(stop) {
+  if (stop.gpsCount === 0) return null;
+  return { latitude: stop.latSum / stop.gpsCount, longitude: stop.lonSum / stop.gpsCount };
+}
+
+// 시간 간격이 크거나, 둘 다 GPS가 있는데 멀리 떨어져 있으면 새 장소
+function isNewStop(stop, slot) {
+  if (slot.timestamp - stop.lastTimestamp > STOP_GAP_MINUTES * 60 * 1000) return true;
+
+  const center = stopCenter(stop);
+  const location = slotLocation(slot);
+  if (!center || !location) return false;
+  return distanceKm(center.latitude, center.longitude, location.latitude, location.longitude) > STOP_DISTANCE_KM;
+}
+
+function formatStop(stop, stopNumber) {
+  const first = stop.slots[0];
+  const last = stop.slots[stop.slots.length - 1];
+  const { place } = summarizePlaces(stop.slots.map(slot => slot.place));
+
+  return {
+    stopNumber,
+    startTime: new Date(first.timestamp).toISOString(),
+    endTime: new Date(last.timestamp).toISOString(),
+    localStartTime: slotLocalDateTime(first),
+    localEndTime: slotLocalDateTime(last),
+    timeSlot: first.timeSlot,
+    center: stopCenter(stop),
+    place,
+    photoIds: stop.slots.map(slot => slot.id),
+  };
+}
+
+/**
+ * 사진 슬롯 → 여행 일정 (day → stop → photos)
+ * 반환: { days: [{ dayNumber, date, place, stops: [...] }], undatedPhotoIds, generatedAt }
+ */
+function buildItinerary(photoSlots = []) {
+  const sorted = sortSlotsByTime(photoSlots);
+  const dated = sorted.filter(isDated);
+
+  const dayMap = new Map();
+  for (const slot of dated) {
+    const date = travelDate(slotLocalDateTime(slot));
+    if (!dayMap.has(date)) dayMap.set(date, []);
+    dayMap.get(date).push(slot);
+  }
+
+  const days = [...dayMap.entries()].map(([date, slots], dayIndex) => {
+    const stops = [];
+    let current = null;
+    for (const slot of slots) {
+      if (!current || isNewStop(current, slot)) {
+        current = startStop(slot);
+        stops.push(current);
+      }
+      addToStop(current, slot);
+    }
+
+    return {
+      dayNumber: dayIndex + 1,
+      date,
+      place: summarizePlaces(slots.map(slot => slot.place)).place,
+      stops: stops.map((stop, stopIndex) => formatStop(stop, stopIndex + 1)),
+    };
+  });
+
+  return {
+    days,
+    undatedPhotoIds: sorted.filter(slot => !isDated(slot)).map(slot => slot.id),
+    generatedAt: new Date(),
+  };
+}
+
+/**
+ * 다이어리 사진을 시간순으로 정렬하고 각 사진에 dayNumber / stopNumber 표시
+ * sort: false 이면 사용자가 정한 사진 순서를 그대로 두고 표시만 갱신
+ * 반환: { photoSlots, itinerary }
+ */
+function structureTrip(photoSlots = [], { sort = true } = {}) {
+  const itinerary = buildItinerary(photoSlots);
+
+  const positions = new Map();
+  for (const day of itinerary.days) {
+    for (const stop of day.stops) {
+      for (const photoId of stop.photoIds) {
+        positions.set(photoId, { dayNumber: day.dayNumber, stopNumber: stop.stopNumber });
+      }
+    }
+  }
+
+  const orderedSlots = sort ? sortSlotsByTime(photoSlots) : photoSlots;
+  const annotatedSlots = orderedSlots.map((slot) => {
+    const { dayNumber, stopNumber, ...rest } = slot;
+    return positions.has(slot.id) ? { ...rest, ...positions.get(slot.id) } : rest;
+  });
+
+  return { photoSlots: annotatedSlots, itinerary };
+}
+
+module.exports = {
+  buildItinerary,
+  structureTrip,
+  sortSlotsByTime,
+  slotLocation,
+  slotLocalDateTime,
+  slotTravelDate
+};